@@ -0,0 +1,101 @@
+'use strict';
+
+const { formatAmount, toMinorUnits } = require('../lib/money');
+
+// What the interactive client knows about the auctions it has seen, kept
+// current by the notifications it receives so prices can be shown without
+// asking the server again. Lives in memory only: after a restart it fills up
+// again from the first listing or details request.
+//
+// `observedAt` and `priceObservedAt` are local times, so a linear Dutch price
+// can be extrapolated from the last one received without trusting the
+// server's clock. Stepped schedules hold each price for a while, so they show
+// the last price received until the next priceUpdate.
+class AuctionCache {
+  constructor() {
+    this.auctions = new Map(); // auctionId -> cached view
+  }
+
+  // Takes a full auction (getAuctionDetails) or a listing summary (listAuctions,
+  // newAuction)
+  remember(auction) {
+    const { bids, commitments, status, ...view } = auction;
+    const cached = {
+      ...this.auctions.get(auction.auctionId),
+      ...view,
+      observedAt: Date.now()
+    };
+    if (view.currentPrice !== undefined) cached.priceObservedAt = cached.observedAt;
+    if (status) cached.closed = status === 'closed';
+    if (bids) cached.leader = bids.length > 0 ? bids[bids.length - 1] : null;
+    this.auctions.set(auction.auctionId, cached);
+    return cached;
+  }
+
+  // Follows a notification; anything about an auction we never saw is
+  // ignored, as there would be nothing to show it against
+  apply(type, data) {
+    if (type === 'newAuction') {
+      this.remember(data.auction);
+      return;
+    }
+
+    const cached = this.auctions.get(data.auctionId);
+    if (!cached) return;
+
+    switch (type) {
+      case 'newBid':
+        cached.currentPrice = data.currentPrice;
+        cached.priceObservedAt = Date.now();
+        cached.bidCount = (cached.bidCount || 0) + 1;
+        cached.leader = data.bid;
+        if (cached.unitsLeft !== undefined) cached.unitsLeft -= data.bid.quantity || 1;
+        if (data.reserveMet !== undefined) cached.reserveMet = data.reserveMet;
+        if (data.closed) cached.closed = true;
+        break;
+      case 'outbid':
+      case 'priceUpdate':
+        cached.currentPrice = data.currentPrice;
+        cached.priceObservedAt = Date.now();
+        break;
+      case 'auctionExtended':
+        cached.endTime = data.endTime;
+        break;
+      case 'bidCommitted':
+        cached.commitmentCount = data.commitments;
+        break;
+      case 'bidRevealed':
+        cached.revealedCount = (cached.revealedCount || 0) + 1;
+        break;
+      case 'auctionClosed':
+        cached.closed = true;
+        cached.outcome = data.outcome;
+        cached.winner = data.winner;
+        cached.clearingPrice = data.clearingPrice;
+        break;
+      default:
+        return;
+    }
+    cached.observedAt = Date.now();
+  }
+
+  // The cached view with a linear Dutch price brought up to now
+  get(auctionId) {
+    const cached = this.auctions.get(auctionId);
+    if (!cached) return null;
+
+    const view = { ...cached };
+    const linear = !view.priceSchedule || view.priceSchedule.type === 'linear';
+    if (view.auctionType === 'dutch' && !view.closed && linear && view.decrementRate) {
+      // Amounts arrive as decimal strings, so the drop is worked out in minor
+      // units and shown the same way
+      const minor = (amount) => toMinorUnits(amount, view.currency);
+      const elapsed = (Date.now() - view.priceObservedAt) / 1000;
+      const price = Math.round(minor(view.currentPrice) - minor(view.decrementRate) * elapsed);
+      view.currentPrice = formatAmount(Math.max(price, minor(view.minimumPrice)), view.currency);
+    }
+    return view;
+  }
+}
+
+module.exports = { AuctionCache };
@@ -0,0 +1,41 @@
+'use strict';
+
+// The server picker of the interactive programs. It prints to the terminal
+// and prompts, so it lives here rather than with the discovery code in lib/,
+// which library users load too.
+
+const formatUptime = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// Lists what discoverServers found and asks which one to use. A raw public key
+// is accepted too, which is also the only way in when nothing was found.
+const chooseServer = async (servers, marketplace, askQuestion) => {
+  if (servers.length === 0) {
+    console.log(`No auction servers found on marketplace "${marketplace}".`);
+  } else {
+    console.log(`\nAuction servers on marketplace "${marketplace}":`);
+    servers.forEach((server, i) => {
+      console.log(`${i + 1}. ${server.name || 'Unnamed server'} - up ${formatUptime(server.uptime || 0)}, ${server.openAuctions || 0} open auction(s)`);
+      console.log(`   ${server.publicKey}`);
+    });
+  }
+
+  while (true) {
+    const answer = (await askQuestion(servers.length > 0
+      ? 'Choose a server by number, or paste a server public key: '
+      : 'Paste a server public key: ')).trim();
+
+    const index = parseInt(answer, 10);
+    if (/^\d+$/.test(answer) && index >= 1 && index <= servers.length) {
+      return servers[index - 1].publicKey;
+    }
+    if (/^[0-9a-f]{64}$/i.test(answer)) return answer.toLowerCase();
+    console.log('Please enter a number from the list or a 64-character hex key');
+  }
+};
+
+module.exports = { chooseServer };
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+'use strict';
+
+// Non-interactive command line for scripts and one-off actions.
+//
+// Usage:
+//   p2p-auction open --item <name> --price <n> [--currency <code>]
+//     [--type english|dutch|sealed|reverse]
+//     [--schedule linear|step|exponential|points] [--rate <n>] [--drop <n>]
+//     [--percent <n>] [--every <secs>] [--points <secs:price,...>]
+//     [--minimum <n>] [--update-every <secs>] [--commit <secs>] [--reveal <secs>]
+//     [--duration <secs>] [--soft-close <secs>] [--quantity <units>]
+//     [--rule first-price|second-price|uniform|discriminatory]
+//     [--reserve <n>] [--buy-now <n>] [--min-increment <5|2%|0:1,100:5>]
+//     [--min-decrement <5|2%|0:1,100:5>]
+//   p2p-auction bid <auctionId> --amount <n> [--quantity <units>] [--bidder <name>]
+//   p2p-auction bid <auctionId> --amount <n> [--max-bid <n>] [--bidder <name>]
+//   p2p-auction bid <auctionId> --max-bid <n> [--bidder <name>]
+//   p2p-auction commit <auctionId> --amount <n> [--bidder <name>]
+//   p2p-auction reveal <auctionId> [--bidder <name>]
+//   p2p-auction close <auctionId>
+//   p2p-auction show <auctionId>
+//   p2p-auction list [--status open|closed] [--type <type>] [--seller <key>]
+//     [--currency <code>] [--min-price <n>] [--max-price <n>] [--limit <n>] [--cursor <cursor>]
+//   p2p-auction history <auctionId> [--limit <n>] [--cursor <cursor>]
+//   p2p-auction watch [auctionId...] [--all] [--new] [--seller <key>]
+//     [--bidder <key>] [--count <n>] [--timeout <secs>]
+//   p2p-auction limits [<method>=<rate>/<burst>...] [maxOpenAuctionsPerSeller=<n>]
+//     [maxClients=<n>]
+//
+// Amounts are decimals in the auction's currency (USD unless --currency says
+// otherwise) and are sent exactly as typed.
+//
+// Every command takes --json for machine-readable output, --verbose for
+// connection progress on stderr, and the options of lib/config.js; the server
+// comes from --server-key, or from the marketplace when exactly one server
+// announces there.
+//
+// Exit codes: 0 success, 1 rejected by the server, 2 usage error,
+// 3 server unreachable.
+
+const { loadConfig } = require('../lib/config');
+const { AuctionClient, AUCTION_TYPES, SETTLEMENT_RULES } = require('./client');
+const { ClientServer, printNotification } = require('./server');
+const { PRICE_SCHEDULES, describeSchedule } = require('../lib/price-schedule');
+const { RequestRejectedError, ServerUnreachableError, ValidationError } = require('../lib/errors');
+
+const EXIT_OK = 0;
+const EXIT_REJECTED = 1;
+const EXIT_USAGE = 2;
+const EXIT_UNREACHABLE = 3;
+
+const BOOLEAN_FLAGS = ['json', 'verbose', 'all', 'new'];
+
+class UsageError extends ValidationError {}
+
+// Splits what lib/config.js left over into positional arguments and
+// --flag <value> pairs, keyed in camelCase
+const parseCommand = (args) => {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+      continue;
+    }
+    const [flag, inline] = args[i].slice(2).split(/=(.*)/s);
+    const name = flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+      continue;
+    }
+    const value = inline !== undefined ? inline : args[++i];
+    if (value === undefined) throw new UsageError(`Missing value for --${flag}`);
+    flags[name] = value;
+  }
+  return { command: positional[0], positional: positional.slice(1), flags };
+};
+
+const flagOf = (name) => `--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+const numberFlag = (flags, name, { required = false } = {}) => {
+  const flag = flagOf(name);
+  if (flags[name] === undefined) {
+    if (required) throw new UsageError(`${flag} is required`);
+    return undefined;
+  }
+  const number = Number(flags[name]);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new UsageError(`${flag} must be a non-negative number`);
+  }
+  return number;
+};
+
+// Amounts stay strings so "19.90" reaches the server as written; the server
+// checks the decimals against the auction's currency
+const amountFlag = (flags, name, { required = false } = {}) => {
+  const flag = flagOf(name);
+  if (flags[name] === undefined) {
+    if (required) throw new UsageError(`${flag} is required`);
+    return undefined;
+  }
+  if (!/^\d+(\.\d+)?$/.test(flags[name])) {
+    throw new UsageError(`${flag} must be a non-negative decimal amount`);
+  }
+  return flags[name];
+};
+
+const auctionIdOf = (positional, command) => {
+  if (!positional[0]) throw new UsageError(`Usage: p2p-auction ${command} <auctionId>`);
+  return positional[0];
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const CAPS = ['maxOpenAuctionsPerSeller', 'maxClients'];
+
+// Changes to the limits as name=value arguments: caps by name, anything else
+// is a method's rate limit
+const parseLimitChanges = (positional) => {
+  const changes = {};
+  const rateLimits = [];
+  for (const argument of positional) {
+    const [name, value] = argument.split('=');
+    if (!name || value === undefined) {
+      throw new UsageError('Usage: p2p-auction limits [<method>=<rate>/<burst>...] [maxOpenAuctionsPerSeller=<n>] [maxClients=<n>]');
+    }
+    if (CAPS.includes(name)) {
+      if (!/^\d+$/.test(value)) throw new UsageError(`${name} must be a whole number, 0 for no cap`);
+      changes[name] = Number(value);
+    } else {
+      rateLimits.push(argument);
+    }
+  }
+  if (rateLimits.length > 0) changes.rateLimits = rateLimits.join(',');
+  return changes;
+};
+
+const COMMANDS = {
+  open: async (client, { flags }) => {
+    if (!flags.item) throw new UsageError('--item is required');
+    if (flags.type && !AUCTION_TYPES.includes(flags.type)) {
+      throw new UsageError(`--type must be one of: ${AUCTION_TYPES.join(', ')}`);
+    }
+    if (flags.rule && !SETTLEMENT_RULES.includes(flags.rule)) {
+      throw new UsageError(`--rule must be one of: ${SETTLEMENT_RULES.join(', ')}`);
+    }
+    if (flags.schedule && !PRICE_SCHEDULES.includes(flags.schedule)) {
+      throw new UsageError(`--schedule must be one of: ${PRICE_SCHEDULES.join(', ')}`);
+    }
+    // Without --schedule, --rate alone is a linear drop as before
+    const priceSchedule = flags.schedule && {
+      type: flags.schedule,
+      rate: amountFlag(flags, 'rate'),
+      drop: amountFlag(flags, 'drop'),
+      percent: numberFlag(flags, 'percent'),
+      every: numberFlag(flags, 'every'),
+      points: flags.points
+    };
+    const auction = await client.openAuction({
+      item: flags.item,
+      price: amountFlag(flags, 'price', { required: true }),
+      currency: flags.currency,
+      auctionType: flags.type,
+      decrementRate: amountFlag(flags, 'rate'),
+      priceSchedule,
+      minimumPrice: amountFlag(flags, 'minimum'),
+      updateInterval: numberFlag(flags, 'updateEvery'),
+      commitDuration: numberFlag(flags, 'commit'),
+      revealDuration: numberFlag(flags, 'reveal'),
+      duration: numberFlag(flags, 'duration'),
+      softCloseWindow: numberFlag(flags, 'softClose'),
+      reservePrice: amountFlag(flags, 'reserve'),
+      buyNowPrice: amountFlag(flags, 'buyNow'),
+      minIncrement: flags.minIncrement,
+      minDecrement: flags.minDecrement,
+      quantity: numberFlag(flags, 'quantity'),
+      settlementRule: flags.rule
+    });
+    return { result: auction, text: [`Opened auction ${auction.auctionId}`] };
+  },
+
+  bid: async (client, { positional, flags }) => {
+    const auctionId = auctionIdOf(positional, 'bid');
+    const maxBid = amountFlag(flags, 'maxBid');
+    const amount = amountFlag(flags, 'amount', { required: maxBid === undefined });
+    const resp = await client.placeBid(auctionId, flags.bidder || client.clientId, amount, {
+      maxBid,
+      quantity: numberFlag(flags, 'quantity')
+    });
+    const text = [resp.winningUnits !== undefined
+      ? `Bid accepted on auction ${auctionId}, holding ${resp.winningUnits} unit(s) at a current price of ${resp.currentPrice}`
+      : resp.leading
+      ? `Leading auction ${auctionId} at ${resp.currentPrice}`
+      : `Outbid on auction ${auctionId} by another bidder's maximum bid, the price is now ${resp.currentPrice}`];
+    if (resp.maxBid !== undefined && resp.leading) text.push(`Bidding for you up to ${resp.maxBid}`);
+    if (resp.reserveMet !== undefined) text.push(`Reserve ${resp.reserveMet ? 'met' : 'not met yet'}`);
+    if (resp.closed) text.push(`Auction won at ${resp.currentPrice}`);
+    else if (resp.endTime) text.push(`Auction ends at ${formatTime(resp.endTime)}`);
+    return { result: resp, text };
+  },
+
+  commit: async (client, { positional, flags }) => {
+    const auctionId = auctionIdOf(positional, 'commit');
+    const amount = amountFlag(flags, 'amount', { required: true });
+    const resp = await client.commitBid(auctionId, flags.bidder || client.clientId, amount);
+    return {
+      result: resp,
+      text: [
+        `Sealed bid committed on auction ${auctionId}`,
+        `Reveal between ${formatTime(resp.commitDeadline)} and ${formatTime(resp.revealDeadline)}`
+      ]
+    };
+  },
+
+  reveal: async (client, { positional, flags }) => {
+    const auctionId = auctionIdOf(positional, 'reveal');
+    const resp = await client.revealBid(auctionId, flags.bidder || client.clientId);
+    return { result: resp, text: [`Bid of ${resp.amount} revealed on auction ${auctionId}`] };
+  },
+
+  close: async (client, { positional }) => {
+    const resp = await client.closeAuction(auctionIdOf(positional, 'close'));
+    return {
+      result: resp,
+      text: resp.winner && resp.quantity > 1
+        ? [`Closed: ${resp.unitsSold} of ${resp.quantity} units sold (${resp.settlementRule})`,
+          ...resp.allocations.map(({ bidder, quantity, price }) => `${bidder}: ${quantity} at ${price} each`)]
+        : [resp.winner
+          ? `Closed: ${resp.winner} wins at ${resp.clearingPrice} (${resp.settlementRule})`
+          : resp.outcome === 'reserve_not_met' ? 'Closed without a sale: reserve not met' : 'Closed with no valid bids']
+    };
+  },
+
+  show: async (client, { positional }) => {
+    const auction = await client.getAuctionDetails(auctionIdOf(positional, 'show'));
+    const text = [
+      `${auction.auctionId} [${auction.closed ? 'closed' : 'open'}] ${auction.item}`,
+      `Type: ${auction.auctionType}, current price: ${auction.currentPrice} ${auction.currency}${auction.quantity > 1 ? ` per unit, units: ${auction.quantity}` : ''}`,
+      `Seller: ${auction.seller}`,
+      `Opened: ${formatTime(auction.startTime)}`
+    ];
+    if (auction.endTime) text.push(`Ends: ${formatTime(auction.endTime)}`);
+    if (auction.auctionType === 'dutch') text.push(`Price ${describeSchedule(auction)}, down to ${auction.minimumPrice}`);
+    if (auction.unitsLeft !== undefined) text.push(`Units left: ${auction.unitsLeft}`);
+    if (auction.hasReserve) text.push(`Reserve: ${auction.reserveMet ? 'met' : 'not met'}`);
+    if (auction.buyNowPrice) text.push(`Buy it now: ${auction.buyNowPrice}`);
+    if (auction.winner) text.push(`Winner: ${auction.winner} at ${auction.clearingPrice}`);
+    return { result: auction, text };
+  },
+
+  list: async (client, { flags }) => {
+    const page = await client.listAuctions({
+      status: flags.status,
+      auctionType: flags.type,
+      seller: flags.seller,
+      currency: flags.currency,
+      minPrice: amountFlag(flags, 'minPrice'),
+      maxPrice: amountFlag(flags, 'maxPrice'),
+      limit: numberFlag(flags, 'limit')
+    }, flags.cursor);
+    const text = page.auctions.map((auction) =>
+      `${auction.auctionId} [${auction.status}] ${auction.auctionType} ${auction.currentPrice} ${auction.currency} (${auction.bidCount} bids) ${auction.item}`);
+    if (page.nextCursor) text.push(`More: --cursor ${page.nextCursor}`);
+    return { result: page, text };
+  },
+
+  history: async (client, { positional, flags }) => {
+    const auctionId = auctionIdOf(positional, 'history');
+    const page = await client.getBidHistory(auctionId, flags.cursor, numberFlag(flags, 'limit'));
+    const text = page.bids.map((bid) => `#${bid.seq} ${formatTime(bid.timestamp)} ${bid.bidder}: ${bid.amount}${bid.quantity ? ` x ${bid.quantity}` : ''}`);
+    if (page.nextCursor) text.push(`More: --cursor ${page.nextCursor}`);
+    return { result: page, text };
+  },
+
+  limits: async (client, { positional }) => {
+    const limits = positional.length > 0
+      ? await client.setLimits(parseLimitChanges(positional))
+      : await client.getLimits();
+    const capOf = (cap) => cap || 'no cap';
+    const rejected = Object.entries(limits.stats.rejected).map(([method, count]) => `${method} ${count}`);
+    return {
+      result: limits,
+      text: [
+        'Rate limits per peer (requests per second/burst):',
+        ...Object.entries(limits.rateLimits).map(([method, { rate, burst }]) =>
+          `  ${method}: ${rate === 0 ? 'none' : `${rate}/${burst}`}`),
+        `Open auctions per seller: ${capOf(limits.maxOpenAuctionsPerSeller)}`,
+        `Registered clients: ${capOf(limits.maxClients)}`,
+        `Peers tracked: ${limits.stats.peers}, requests turned away: ${rejected.length > 0 ? rejected.join(', ') : 'none'}`
+      ]
+    };
+  }
+};
+
+const silentLogger = { log: () => {}, error: () => {} };
+const stderrLogger = { log: (...args) => console.error(...args), error: (...args) => console.error(...args) };
+
+// The configured server, or the only one announced on the marketplace
+const resolveServer = async (program, config) => {
+  if (config.serverKey) return config.serverKey;
+
+  const servers = await program.findServers();
+  if (servers.length === 1) return servers[0].publicKey;
+  if (servers.length === 0) {
+    throw new ServerUnreachableError(`No auction servers found on marketplace "${config.marketplace}"`);
+  }
+  throw new UsageError(`Several servers found on marketplace "${config.marketplace}", pick one with --server-key:\n` +
+    servers.map((server) => `  ${server.publicKey} ${server.name || 'Unnamed server'}`).join('\n'));
+};
+
+const runCommand = async (config, { command, positional, flags }) => {
+  const client = new AuctionClient({ ...config, logger: flags.verbose ? stderrLogger : silentLogger });
+  await client.init();
+  try {
+    client.useServer(await resolveServer(client, config));
+    await client.checkServerReady();
+
+    const { result, text } = await COMMANDS[command](client, { positional, flags });
+    console.log(flags.json ? JSON.stringify(result, null, 2) : text.join('\n'));
+  } finally {
+    await client.close();
+  }
+};
+
+// Prints notifications as they arrive until --count of them were seen,
+// --timeout seconds passed or the process is interrupted
+const runWatch = async (config, { positional, flags }) => {
+  const count = numberFlag(flags, 'count');
+  const timeout = numberFlag(flags, 'timeout');
+  const topics = {
+    auctionIds: positional,
+    sellers: flags.seller ? [flags.seller] : [],
+    bidders: flags.bidder ? [flags.bidder] : [],
+    newAuctions: Boolean(flags.new),
+    all: Boolean(flags.all)
+  };
+  if (!topics.all && !topics.newAuctions && positional.length === 0 && !flags.seller && !flags.bidder) {
+    throw new UsageError('Usage: p2p-auction watch [auctionId...] [--all] [--new] [--seller <key>] [--bidder <key>]');
+  }
+
+  let done;
+  const finished = new Promise((resolve) => { done = resolve; });
+  let seen = 0;
+
+  const watcher = new ClientServer({ ...config, logger: flags.verbose ? stderrLogger : silentLogger });
+  watcher.on('notification', (type, data) => {
+    if (flags.json) console.log(JSON.stringify({ type, ...data }));
+    else printNotification(type, data);
+    if (count && ++seen >= count) done();
+  });
+
+  await watcher.init();
+  try {
+    await watcher.connect(await resolveServer(watcher, config));
+    await watcher.subscribe(topics);
+
+    process.once('SIGINT', done);
+    const timer = timeout ? setTimeout(done, timeout * 1000) : null;
+    await finished;
+    clearTimeout(timer);
+
+    await watcher.unsubscribe(topics);
+  } finally {
+    await watcher.close();
+  }
+};
+
+// Anything that is not a usage or network problem counts as refused, whether
+// by the server or by local checks such as a missing sealed bid
+const exitCodeOf = (error) => {
+  if (error instanceof ValidationError) return EXIT_USAGE;
+  if (error instanceof ServerUnreachableError) return EXIT_UNREACHABLE;
+  return EXIT_REJECTED;
+};
+
+const loadProgramConfig = (program, argv) => {
+  try {
+    return loadConfig(program, argv);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    // Notifications need the client server's own port and storage
+    const argv = process.argv.slice(2);
+    let config = loadProgramConfig('client', argv);
+    parsed = parseCommand(config.args);
+    if (parsed.command === 'watch') config = loadProgramConfig('clientServer', argv);
+
+    if (parsed.command === 'watch') {
+      await runWatch(config, parsed);
+    } else if (COMMANDS[parsed.command]) {
+      await runCommand(config, parsed);
+    } else {
+      throw new UsageError(`Usage: p2p-auction <${[...Object.keys(COMMANDS), 'watch'].join('|')}> [options]`);
+    }
+    process.exit(EXIT_OK);
+  } catch (error) {
+    if (parsed && parsed.flags.json) {
+      const response = error instanceof RequestRejectedError ? error.response : {};
+      console.log(JSON.stringify({ error: error.message, ...response }, null, 2));
+    } else {
+      console.error(`Error: ${error.message}${error.code ? ` (${error.code})` : ''}`);
+    }
+    process.exit(exitCodeOf(error));
+  }
+};
+
+main();
@@ -5,287 +5,717 @@ const DHT = require('hyperdht');
 const Hypercore = require('hypercore');
 const Hyperbee = require('hyperbee');
 const crypto = require('crypto');
+const { clearLine, cursorTo } = require('readline');
+const { AUCTION_TYPES } = require('../lib/auction-types');
+const { createCommitment, createNonce } = require('../lib/commitment');
+const { PRICE_SCHEDULES, describeSchedule } = require('../lib/price-schedule');
+const { identityFromSeed, signRequest } = require('../lib/identity');
+const { loadConfig, resolveConfig } = require('../lib/config');
+const { discoverServers } = require('../lib/discovery');
+const { AuctionError, ValidationError } = require('../lib/errors');
+const { CODECS, chooseCodec } = require('../lib/codec');
+const { ERROR_CODES, PROTOCOL_VERSION } = require('../lib/protocol');
+const { sendRequest } = require('../lib/request');
+const { SETTLEMENT_RULES: SETTLEMENT_PRICES } = require('../lib/settlement');
+const { AuctionCache } = require('./auction-cache');
+const { chooseServer } = require('./choose-server');
+const { ClientServer, printNotification } = require('./server');
+
+// The names of the rules the server settles by, so the two never disagree
+const SETTLEMENT_RULES = Object.keys(SETTLEMENT_PRICES);
+
+// Dutch takers pay what they accepted, so there is no second price to charge
+const DUTCH_SETTLEMENT_RULES = SETTLEMENT_RULES.filter((rule) => rule !== 'second-price');
 
 class AuctionClient {
-  constructor(serverPublicKey, askQuestion) {
-    this.serverPublicKey = Buffer.from(serverPublicKey, 'hex');
-    this.clientId = crypto.randomBytes(16).toString('hex');
-    this.askQuestion = askQuestion;
+  // options: any setting of lib/config.js, defaulting like the `client`
+  // section, plus a logger ({ log, error }, console by default). Without a
+  // serverKey, pick a server with findServers() and useServer() after init().
+  constructor(options = {}) {
+    const { logger = console, ...config } = options;
+    this.config = resolveConfig('client', config);
+    this.serverPublicKey = this.config.serverKey ? Buffer.from(this.config.serverKey, 'hex') : null;
+    this.codec = 'json'; // until checkServerReady() agrees on another
+    this.logger = logger;
   }
 
   async init() {
-    console.log('Initializing client...');
-    const hcore = new Hypercore('./db/rpc-client');
-    const hbee = new Hyperbee(hcore, { keyEncoding: 'utf-8', valueEncoding: 'binary' });
-    await hbee.ready();
+    this.logger.log('Initializing client...');
+    const hcore = new Hypercore(this.config.storage);
+    this.hbee = new Hyperbee(hcore, { keyEncoding: 'utf-8', valueEncoding: 'binary' });
+    await this.hbee.ready();
 
-    let dhtSeed = (await hbee.get('dht-seed'))?.value;
+    let dhtSeed = (await this.hbee.get('dht-seed'))?.value;
     if (!dhtSeed) {
       dhtSeed = crypto.randomBytes(32);
-      await hbee.put('dht-seed', dhtSeed);
+      await this.hbee.put('dht-seed', dhtSeed);
+    }
+
+    // The identity key signs every auction action, so it has to survive
+    // restarts for the server to keep recognising us as seller and bidder
+    let identitySeed = (await this.hbee.get('identity-seed'))?.value;
+    if (!identitySeed) {
+      identitySeed = crypto.randomBytes(32);
+      await this.hbee.put('identity-seed', identitySeed);
     }
+    this.identity = identityFromSeed(identitySeed);
+    this.clientId = this.identity.publicKey;
+    this.logger.log('Client identity:', this.clientId);
 
     const dht = new DHT({
-      port: 40003, // Changed port to avoid conflicts
+      port: this.config.port,
       keyPair: DHT.keyPair(dhtSeed),
-      bootstrap: [{ host: '127.0.0.1', port: 30001 }] // Match the bootstrap node port
+      bootstrap: this.config.bootstrap
     });
     
-    console.log('Connecting to DHT...');
+    this.logger.log('Connecting to DHT...');
     await dht.ready();
-    console.log('DHT connected');
+    this.logger.log('DHT connected');
+
+    this.dht = dht;
+    // Seeded so that listen() is reachable under the same key every run
+    this.rpc = new RPC({ seed: dhtSeed, dht });
+    this.logger.log('RPC initialized');
+  }
+
+  // Starts receiving notifications in this process, on the client's own DHT
+  // node and storage. Returns the ClientServer; connect() it to the server.
+  async listen() {
+    this.notifications = new ClientServer({
+      ...this.config,
+      logger: this.logger,
+      shared: { hbee: this.hbee, dht: this.dht, rpc: this.rpc }
+    });
+    await this.notifications.init();
+    return this.notifications;
+  }
 
-    this.rpc = new RPC({ dht });
-    console.log('RPC initialized');
+  async close() {
+    if (this.notifications) await this.notifications.close();
+    await this.rpc.destroy();
+    await this.dht.destroy();
+    await this.hbee.close();
   }
 
+  // Servers announced on the configured marketplace, with their serverReady details
+  async findServers() {
+    this.logger.log(`Looking for auction servers on marketplace "${this.config.marketplace}"...`);
+    return discoverServers(this.dht, this.rpc, this.config.marketplace, { timeout: this.config.requestTimeout });
+  }
+
+  useServer(serverPublicKey) {
+    this.serverPublicKey = Buffer.from(serverPublicKey, 'hex');
+    this.codec = 'json';
+  }
+
+  // Sends one request to the server and returns its response. Mutating
+  // methods are signed with our identity. Throws a RequestRejectedError or
+  // ServerUnreachableError (see lib/errors.js).
+  async request(method, payload, { signed = false } = {}) {
+    if (!this.serverPublicKey) {
+      throw new ValidationError('No server selected, pass serverKey or call useServer() first');
+    }
+    return sendRequest(
+      this.rpc,
+      this.serverPublicKey,
+      method,
+      signed ? signRequest(method, payload, this.identity) : payload,
+      { timeout: this.config.requestTimeout, codec: this.codec }
+    );
+  }
+
+  // Also settles the protocol version: a server that does not speak ours
+  // turns us down, and one we do not understand throws a ProtocolError. The
+  // codec the server picks is used for every request after this one.
   async checkServerReady() {
-    try {
-        console.log('Checking if the server is ready...');
-        const response = await this.rpc.request(
-            this.serverPublicKey, 
-            'serverReady', 
-            Buffer.from('Check if server is ready', 'utf-8'),
-            { timeout: 5000 } // Add timeout
-        );
-        const result = JSON.parse(response.toString('utf-8'));
-        console.log('Server response:', result);
-        return true;
-    } catch (error) {
-        console.error('Error connecting to server:', error.message);
-        return false;
+    const resp = await this.request('serverReady', { protocolVersion: PROTOCOL_VERSION, codecs: CODECS });
+    this.codec = chooseCodec([resp.codec]);
+    return resp;
+  }
+
+  // Amounts are decimals in the major unit of the auction's currency, as
+  // numbers or, to keep them exact, strings ("19.99").
+  // options: { item, price, currency (USD by default, see lib/money.js),
+  // auctionType, settlementRule, quantity (english,
+  // dutch, reverse), priceSchedule (see lib/price-schedule.js) or
+  // decrementRate, minimumPrice, updateInterval (dutch), commitDuration,
+  // revealDuration (sealed), duration, softCloseWindow (english, reverse),
+  // reservePrice, buyNowPrice, minIncrement (english), minDecrement (reverse) }
+  // For reverse auctions the price is the buyer's ceiling.
+  async openAuction(options) {
+    const auctionType = (options.auctionType || 'english').toLowerCase();
+    if (!AUCTION_TYPES.includes(auctionType)) {
+      throw new ValidationError(`Invalid auction type. Must be one of: ${AUCTION_TYPES.join(', ')}`);
     }
+
+    const settlementRule = options.settlementRule || 'first-price';
+    const rules = auctionType === 'dutch' ? DUTCH_SETTLEMENT_RULES : SETTLEMENT_RULES;
+    if (!rules.includes(settlementRule)) {
+      throw new ValidationError(`Invalid settlement rule. Must be one of: ${rules.join(', ')}`);
+    }
+
+    const payload = { 
+      item: options.item, 
+      price: options.price, 
+      currency: options.currency,
+      auctionType,
+      decrementRate: auctionType === 'dutch' ? options.decrementRate : undefined,
+      priceSchedule: auctionType === 'dutch' ? options.priceSchedule : undefined,
+      minimumPrice: auctionType === 'dutch' ? options.minimumPrice : undefined,
+      updateInterval: auctionType === 'dutch' ? options.updateInterval : undefined,
+      commitDuration: options.commitDuration,
+      revealDuration: options.revealDuration,
+      duration: options.duration,
+      softCloseWindow: options.softCloseWindow,
+      reservePrice: options.reservePrice,
+      buyNowPrice: options.buyNowPrice,
+      minIncrement: options.minIncrement,
+      minDecrement: options.minDecrement,
+      quantity: options.quantity,
+      settlementRule
+    };
+
+    const resp = await this.request('openAuction', payload, { signed: true });
+    return { ...resp, ...payload };
   }
 
-  async openAuction(item, price, auctionType = 'english') {
-    try {
-        // Validate auction type
-        if (!['english', 'dutch'].includes(auctionType.toLowerCase())) {
-            console.log('\nError: Invalid auction type. Must be either "english" or "dutch"');
-            return;
-        }
+  async getAuctionDetails(auctionId) {
+    return this.request('getAuctionDetails', { auctionId });
+  }
 
-        let decrementRate;
-        let minimumPrice;
-        
-        if (auctionType.toLowerCase() === 'dutch') {
-            // Use the existing readline interface from main()
-            const getDecreaseRate = async () => {
-                while (true) {
-                    const input = await this.askQuestion('Enter price decrease rate per second (1-100): ');
-                    const rate = parseFloat(input);
-
-                    // Validate decrement rate
-                    if (isNaN(rate) || rate <= 0 || rate > 100) {
-                        console.log('Please enter a valid number between 1 and 100');
-                        continue;
-                    }
-                    
-                    // Ensure decrement rate isn't too high compared to starting price
-                    if (rate > price * 0.2) { // Max 20% of price per second
-                        console.log(`Decrease rate too high. Maximum allowed is ${Math.floor(price * 0.2)} per second`);
-                        continue;
-                    }
-                    
-                    return rate;
-                }
-            };
-
-            decrementRate = await getDecreaseRate();
-            minimumPrice = Math.floor(price * 0.5);
-            console.log(`\nMinimum price set to: ${minimumPrice}`);
-        }
+  // options.maxBid: a hidden ceiling the server keeps bidding up to for you
+  // whenever you are outbid. With one, amount may be left out.
+  // options.quantity: units wanted on a multi-unit auction, amount being the
+  // price per unit
+  async placeBid(auctionId, bidder, amount, { maxBid, quantity } = {}) {
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+    return this.request('placeBid', { 
+      auctionId, 
+      bidder, 
+      amount: isSet(amount) || !isSet(maxBid) ? amount : undefined,
+      maxBid: isSet(maxBid) ? maxBid : undefined,
+      quantity: isSet(quantity) ? Number(quantity) : undefined
+    }, { signed: true });
+  }
 
-        const payload = { 
-            item, 
-            price, 
-            clientId: this.clientId, 
-            auctionType: auctionType.toLowerCase(),
-            decrementRate: auctionType.toLowerCase() === 'dutch' ? decrementRate : undefined,
-            minimumPrice: auctionType.toLowerCase() === 'dutch' ? minimumPrice : undefined
-        };
-        
-        const respRaw = await this.rpc.request(
-            this.serverPublicKey, 
-            'openAuction', 
-            Buffer.from(JSON.stringify(payload), 'utf-8')
-        );
-        const resp = JSON.parse(respRaw.toString('utf-8'));
-        
-        if (resp.error) {
-            console.log('\nError creating auction:', resp.error);
-            return;
-        }
+  async commitBid(auctionId, bidder, amount) {
+    const nonce = createNonce();
+    const resp = await this.request('commitBid', { 
+      auctionId, 
+      bidder, 
+      commitment: createCommitment(amount, nonce) 
+    }, { signed: true });
 
-        console.log('\nAuction opened with ID:', resp.auctionId);
-        if (auctionType.toLowerCase() === 'dutch') {
-            console.log('Dutch auction parameters:');
-            console.log('- Starting price:', price);
-            console.log('- Price decreases by:', decrementRate, 'per second');
-            console.log('- Minimum price:', minimumPrice);
-        }
-        return resp.auctionId;
-    } catch (error) {
-        console.error('Error opening auction:', error.message);
+    // The server only ever sees the hash, so the amount and nonce must be
+    // kept locally until the reveal window opens
+    await this.hbee.put(
+      `sealed-bid!${auctionId}!${bidder}`,
+      Buffer.from(JSON.stringify({ amount, nonce }), 'utf-8')
+    );
+    return resp;
+  }
+
+  async revealBid(auctionId, bidder) {
+    const saved = (await this.hbee.get(`sealed-bid!${auctionId}!${bidder}`))?.value;
+    if (!saved) {
+      throw new AuctionError('No committed bid found for this auction and bidder');
     }
+
+    const { amount, nonce } = JSON.parse(saved.toString('utf-8'));
+    const resp = await this.request('revealBid', { 
+      auctionId, 
+      bidder, 
+      amount, 
+      nonce 
+    }, { signed: true });
+    return { ...resp, amount };
   }
 
-  async placeBid(auctionId, bidder, amount) {
-    try {
-        // First get auction details
-        const detailsRaw = await this.rpc.request(
-            this.serverPublicKey,
-            'getAuctionDetails',
-            Buffer.from(JSON.stringify({ auctionId }), 'utf-8')
-        );
-        const details = JSON.parse(detailsRaw.toString('utf-8'));
-
-        if (details.error) {
-            console.log('\nError:', details.error);
-            return;
-        }
+  async listAuctions(filters = {}, cursor) {
+    return this.request('listAuctions', { ...filters, cursor });
+  }
 
-        if (details.closed) {
-            console.log('\nThis auction is already closed');
-            return;
-        }
+  async getBidHistory(auctionId, cursor, limit) {
+    return this.request('getBidHistory', { auctionId, cursor, limit });
+  }
 
-        console.log('\nCurrent auction status:');
-        console.log('- Type:', details.auctionType);
-        console.log('- Current price:', details.currentPrice);
-        if (details.auctionType === 'dutch') {
-            console.log('- Price decreasing by:', details.decrementRate, 'per second');
-            console.log('- Minimum price:', details.minimumPrice);
-        }
+  // The auction's signed events, to check with verifyAudit (lib/audit.js)
+  async getAuctionAudit(auctionId) {
+    return this.request('getAuctionAudit', { auctionId });
+  }
 
-        const payload = { 
-            auctionId, 
-            bidder, 
-            amount: parseFloat(amount), 
-            clientId: this.clientId 
-        };
-        
-        const respRaw = await this.rpc.request(
-            this.serverPublicKey, 
-            'placeBid', 
-            Buffer.from(JSON.stringify(payload), 'utf-8')
-        );
-        const resp = JSON.parse(respRaw.toString('utf-8'));
-        
-        if (resp.error) {
-            if (resp.currentPrice) {
-                console.log(`\nBid failed: ${resp.error}`);
-                console.log(`Current price is: ${resp.currentPrice}`);
-            } else {
-                console.log(`\nError: ${resp.error}`);
-            }
-            return;
-        }
+  async closeAuction(auctionId) {
+    return this.request('closeAuction', { auctionId }, { signed: true });
+  }
+
+  // The server's rate limits and caps, for identities in its adminKeys
+  async getLimits() {
+    return this.request('getLimits', {}, { signed: true });
+  }
+
+  // limits: { rateLimits ({ placeBid: '5/20' } or "placeBid=5/20,..."),
+  // maxOpenAuctionsPerSeller, maxClients }, each optional. Lasts until the
+  // server restarts.
+  async setLimits(limits) {
+    return this.request('setLimits', limits, { signed: true });
+  }
+}
 
-        if (resp.success) {
-            console.log('\nBid placed successfully!');
-            if (resp.closed) {
-                console.log('Congratulations! You won the Dutch auction!');
-                console.log(`Final price: ${resp.currentPrice}`);
-            }
+const askQuantity = async (askQuestion, query, max = Infinity) => {
+  while (true) {
+    const input = await askQuestion(query);
+    if (!input) return 1;
+    const quantity = Number(input);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > max) {
+      console.log(`Please enter a whole number from 1${max < Infinity ? ` to ${max}` : ' up'}, or leave blank for 1`);
+      continue;
+    }
+    return quantity;
+  }
+};
+
+const askSettlementRule = async (askQuestion, rules) => {
+  while (true) {
+    const input = await askQuestion(`Enter settlement rule (${rules.join('/')}) [first-price]: `);
+    if (!input) return undefined;
+    if (rules.includes(input.toLowerCase())) return input.toLowerCase();
+    console.log(`Invalid settlement rule. Please enter one of: ${rules.join(', ')}`);
+  }
+};
+
+// The interactive prompts for the type-specific settings of a new auction
+const promptAuctionOptions = async (askQuestion, price, auctionType) => {
+  const options = {};
+
+  // Sealed commitments cover a single unit
+  if (auctionType !== 'sealed') {
+    options.quantity = await askQuantity(askQuestion, 'Enter number of identical units [1]: ');
+  }
+
+  if (auctionType === 'dutch') {
+    // Blank takes `fallback` where there is one
+    const getNumber = async (query, isValid, hint, fallback) => {
+      while (true) {
+        const input = await askQuestion(query);
+        if (!input && fallback !== undefined) return fallback;
+        const number = parseFloat(input);
+        if (isNaN(number) || !isValid(number)) {
+          console.log(`Please enter ${hint}`);
+          continue;
         }
-    } catch (error) {
-        console.error('Error placing bid:', error.message);
+        return number;
+      }
+    };
+    const isPositive = (number) => number > 0;
+    const belowStart = (number) => number > 0 && number < price;
+
+    let type;
+    while (true) {
+      type = (await askQuestion(`Enter price schedule (${PRICE_SCHEDULES.join('/')}) [linear]: `)).toLowerCase() || 'linear';
+      if (PRICE_SCHEDULES.includes(type)) break;
+      console.log(`Invalid price schedule. Please enter one of: ${PRICE_SCHEDULES.join(', ')}`);
+    }
+
+    if (type === 'linear') {
+      options.priceSchedule = { type, rate: await getNumber('Enter price decrease per second: ', belowStart, `a number from 0 to ${price}`) };
+    } else if (type === 'step') {
+      const drop = await getNumber('Enter price drop per step: ', belowStart, `a number from 0 to ${price}`);
+      options.priceSchedule = { type, drop, every: await getNumber('Enter seconds between steps: ', isPositive, 'a positive number of seconds') };
+    } else if (type === 'exponential') {
+      const percent = await getNumber('Enter percentage drop per step: ', (number) => number > 0 && number < 100, 'a percentage from 0 to 100');
+      options.priceSchedule = { type, percent, every: await getNumber('Enter seconds between steps: ', isPositive, 'a positive number of seconds') };
+    } else {
+      options.priceSchedule = { type, points: await askQuestion('Enter price points as seconds:price, e.g. 30:400,60:300: ') };
     }
+
+    // A points schedule ends at its last price unless the seller says
+    // otherwise; an exponential one never gets to 0
+    const lowestFloor = type === 'exponential' ? 'above 0' : 'of at least 0';
+    const isFloor = (number) => (type === 'exponential' ? number > 0 : number >= 0) && number < price;
+    const floorHint = `a price ${lowestFloor} and below ${price}`;
+    options.minimumPrice = type === 'points'
+      ? await getNumber('Enter minimum price (blank for the last price point): ', isFloor, floorHint, null) ?? undefined
+      : await getNumber(`Enter minimum price [${Math.floor(price * 0.5)}]: `, isFloor, floorHint, Math.floor(price * 0.5));
+    options.updateInterval = await getNumber('Enter seconds between price updates [5]: ', (number) => number >= 1, 'at least 1 second', 5);
+
+    // A single unit simply goes to the first taker
+    if (options.quantity > 1) {
+      options.settlementRule = await askSettlementRule(askQuestion, DUTCH_SETTLEMENT_RULES);
+    }
+    return options;
   }
 
-  async closeAuction(auctionId) {
-    try {
-        const payload = { 
-            auctionId, 
-            clientId: this.clientId,
-            timestamp: Date.now()
-        };
-        
-        console.log('Attempting to close auction:', auctionId);
-        const respRaw = await this.rpc.request(
-            this.serverPublicKey, 
-            'closeAuction', 
-            Buffer.from(JSON.stringify(payload), 'utf-8')
-        );
-        
-        const resp = JSON.parse(respRaw.toString('utf-8'));
-        
-        if (resp.error) {
-            console.log('Error closing auction:', resp.error);
-            return;
+  if (auctionType === 'sealed') {
+    const getDuration = async (query) => {
+      while (true) {
+        const seconds = parseFloat(await askQuestion(query));
+        if (isNaN(seconds) || seconds <= 0) {
+          console.log('Please enter a positive number of seconds');
+          continue;
         }
-        
-        if (resp.highestBid && resp.highestBid.amount > 0) {
-            console.log('\nAuction closed successfully:');
-            console.log('- Winning bidder:', resp.highestBid.bidder);
-            console.log('- Winning amount:', resp.highestBid.amount);
-            console.log('- Timestamp:', new Date(resp.highestBid.timestamp).toLocaleString());
-        } else {
-            console.log('\nAuction closed with no valid bids');
+        return seconds;
+      }
+    };
+
+    options.commitDuration = await getDuration('Enter commit window in seconds: ');
+    options.revealDuration = await getDuration('Enter reveal window in seconds: ');
+  } else {
+    const getOptionalSeconds = async (query) => {
+      while (true) {
+        const input = await askQuestion(query);
+        if (!input) return undefined;
+        const seconds = parseFloat(input);
+        if (isNaN(seconds) || seconds < 0) {
+          console.log('Please enter a number of seconds, or leave blank');
+          continue;
         }
-    } catch (error) {
-        console.error('Error closing auction:', error.message);
+        return seconds;
+      }
+    };
+
+    options.duration = await getOptionalSeconds('Enter duration in seconds (blank for no time limit): ');
+    if (options.duration) {
+      options.softCloseWindow = await getOptionalSeconds('Enter soft-close window in seconds [30]: ');
+    }
+
+    const getOptionalPrice = async (query, floor) => {
+      while (true) {
+        const input = await askQuestion(query);
+        if (!input) return undefined;
+        const amount = parseFloat(input);
+        if (isNaN(amount) || amount < floor) {
+          console.log(`Please enter a price of at least ${floor}, or leave blank`);
+          continue;
+        }
+        return amount;
+      }
+    };
+
+    if (auctionType === 'reverse') {
+      options.minDecrement = await askQuestion('Enter minimum decrement, e.g. 5, 2% or 0:1,100:5 (blank for none): ') || undefined;
+    } else {
+      options.reservePrice = await getOptionalPrice('Enter hidden reserve price (blank for none): ', price);
+      if (options.quantity === 1) {
+        options.buyNowPrice = await getOptionalPrice('Enter buy-it-now price (blank for none): ', Math.max(price, options.reservePrice || 0));
+      }
+      options.minIncrement = await askQuestion('Enter minimum increment, e.g. 5, 2% or 0:1,100:5 (blank for none): ') || undefined;
     }
   }
-}
+
+  options.settlementRule = await askSettlementRule(askQuestion, SETTLEMENT_RULES);
+  return options;
+};
+
+const printOpenedAuction = (auction) => {
+  console.log('\nAuction opened with ID:', auction.auctionId);
+  console.log('Settlement rule:', auction.settlementRule);
+  console.log('Currency:', auction.auction.currency);
+  if (auction.quantity > 1) console.log('Units for sale:', auction.quantity);
+  if (auction.auctionType === 'dutch') {
+    console.log('Dutch auction parameters:');
+    console.log('- Starting price:', auction.auction.startPrice);
+    console.log('- Price', describeSchedule(auction.auction));
+    console.log('- Minimum price:', auction.auction.minimumPrice);
+    console.log('- Price updates every', auction.auction.updateInterval, 'seconds');
+  } else if (auction.auctionType === 'sealed') {
+    console.log('Sealed auction parameters:');
+    console.log('- Commit window:', auction.commitDuration, 'seconds');
+    console.log('- Reveal window:', auction.revealDuration, 'seconds');
+  } else if (auction.auctionType === 'reverse') {
+    console.log('Reverse auction parameters:');
+    console.log('- Highest accepted offer:', auction.auction.startPrice);
+    if (auction.duration) console.log('- Ends in:', auction.duration, 'seconds');
+  } else if (auction.duration) {
+    console.log('Timed auction parameters:');
+    console.log('- Ends in:', auction.duration, 'seconds');
+    console.log('- Late bids extend it when placed in the last', auction.softCloseWindow ?? 30, 'seconds');
+  }
+  if (auction.reservePrice) console.log('- Hidden reserve:', auction.reservePrice);
+  if (auction.buyNowPrice) console.log('- Buy it now for:', auction.buyNowPrice);
+  if (auction.minIncrement) console.log('- Minimum increment:', auction.minIncrement);
+  if (auction.minDecrement) console.log('- Minimum decrement:', auction.minDecrement);
+};
+
+const formatIncrement = (tiers) => tiers
+  .map((tier) => `${tier.percent !== undefined ? `${tier.percent}%` : tier.amount}${tier.from > 0 ? ` from ${tier.from}` : ''}`)
+  .join(', ');
+
+const printAuctionStatus = (details) => {
+  console.log('\nCurrent auction status:');
+  console.log('- Type:', details.auctionType);
+  console.log('- Currency:', details.currency);
+  const priceLabel = details.auctionType === 'reverse' ? '- Offer to beat:' : '- Current price:';
+  console.log(priceLabel, details.quantity > 1 ? `${details.currentPrice} per unit` : details.currentPrice);
+  if (details.quantity > 1) {
+    console.log('- Units:', details.unitsLeft !== undefined ? `${details.quantity} (${details.unitsLeft} left)` : details.quantity);
+  }
+  if (details.auctionType === 'dutch') {
+    console.log('- Price', describeSchedule(details));
+    console.log('- Minimum price:', details.minimumPrice);
+  }
+  if (details.endTime) {
+    console.log('- Ends at:', new Date(details.endTime).toLocaleString());
+  }
+  if (details.hasReserve) {
+    console.log('- Reserve:', details.reserveMet ? 'met' : 'not met yet');
+  }
+  if (details.buyNowPrice) {
+    console.log('- Buy it now for:', details.buyNowPrice);
+  }
+  if (details.minIncrement) {
+    console.log('- Minimum increment:', formatIncrement(details.minIncrement));
+  }
+  if (details.minDecrement) {
+    console.log('- Minimum decrement:', formatIncrement(details.minDecrement));
+  }
+};
+
+const printAuctionList = (page) => {
+  if (page.auctions.length === 0) {
+    console.log('\nNo auctions found');
+  }
+  for (const auction of page.auctions) {
+    console.log(`\n${auction.auctionId} [${auction.status}] ${auction.item}`);
+    console.log(`- Type: ${auction.auctionType}, current price: ${auction.currentPrice} ${auction.currency}, bids: ${auction.bidCount}${auction.quantity > 1 ? `, units: ${auction.quantity}` : ''}`);
+    console.log(`- Opened: ${new Date(auction.startTime).toLocaleString()}`);
+    if (auction.endTime) console.log(`- Ends: ${new Date(auction.endTime).toLocaleString()}`);
+    if (auction.winner) console.log(`- Winner: ${auction.winner}`);
+  }
+};
+
+const printBidHistory = (page) => {
+  if (page.bids.length === 0) {
+    console.log('\nNo bids yet');
+  }
+  for (const bid of page.bids) {
+    console.log(`#${bid.seq} ${new Date(bid.timestamp).toLocaleString()} ${bid.bidder}: ${bid.amount}${bid.quantity ? ` x ${bid.quantity}` : ''}`);
+  }
+};
+
+const printCloseResult = (resp) => {
+  if (resp.winner && resp.quantity > 1) {
+    console.log(`\nAuction closed successfully: ${resp.unitsSold} of ${resp.quantity} units sold (${resp.settlementRule})`);
+    resp.allocations.forEach(({ bidder, quantity, price }) => console.log(`- ${bidder}: ${quantity} at ${price} each`));
+  } else if (resp.winner) {
+    console.log('\nAuction closed successfully:');
+    console.log('- Winning bidder:', resp.winner);
+    console.log('- Winning bid:', resp.winningBid.amount);
+    console.log('- Price to pay:', resp.clearingPrice, `(${resp.settlementRule})`);
+    console.log('- Timestamp:', new Date(resp.winningBid.timestamp).toLocaleString());
+  } else if (resp.outcome === 'reserve_not_met') {
+    console.log('\nAuction closed without a sale: the reserve price was not met');
+    console.log('- Highest bid:', resp.highestBid.amount);
+  } else {
+    console.log('\nAuction closed with no valid bids');
+  }
+};
 
 const main = async () => {
+  const config = loadConfig('client');
   const readline = require('readline').createInterface({
     input: process.stdin,
     output: process.stdout
   });
 
+  let asking = false;
   const askQuestion = (query) => {
-    return new Promise((resolve) => readline.question(query, resolve));
+    asking = true;
+    return new Promise((resolve) => readline.question(query, (answer) => {
+      asking = false;
+      resolve(answer);
+    }));
   };
 
-  const serverPublicKey = await askQuestion('Enter server public key to start: ');
-  const auctionClient = new AuctionClient(serverPublicKey, askQuestion);
+  const auctionClient = new AuctionClient({ ...config, serverKey: config.args[0] || config.serverKey });
   await auctionClient.init();
 
+  // Without a key on the command line, pick a server from the marketplace
+  if (!auctionClient.serverPublicKey) {
+    const servers = await auctionClient.findServers();
+    auctionClient.useServer(await chooseServer(servers, auctionClient.config.marketplace, askQuestion));
+  }
+
   // Wait until the server is ready
-  let serverReady = false;
-  while (!serverReady) {
-    serverReady = await auctionClient.checkServerReady();
-    if (!serverReady) {
+  while (true) {
+    try {
+      console.log('Checking if the server is ready...');
+      console.log('Server response:', await auctionClient.checkServerReady());
+      break;
+    } catch (error) {
+      console.error('Error connecting to server:', error.message);
       await new Promise(resolve => setTimeout(resolve, 1000)); // Retry every second
     }
   }
 
+  // Notifications come in on this same process and keep the cache current.
+  // One may arrive while a question waits for input, so the prompt line is
+  // cleared first and drawn again afterwards, with whatever was typed so far.
+  const cache = new AuctionCache();
+  const notifications = await auctionClient.listen();
+  notifications.on('notification', (type, data) => {
+    cache.apply(type, data);
+    if (asking) {
+      clearLine(process.stdout, 0);
+      cursorTo(process.stdout, 0);
+    }
+    printNotification(type, data);
+    if (asking) readline.prompt(true);
+  });
+  await notifications.connect(auctionClient.serverPublicKey.toString('hex'));
+  await notifications.subscribe({ bidders: [auctionClient.clientId] });
+
+  // Auctions we opened, bid on or looked at are followed from then on
+  const followed = new Set();
+  const follow = async (auctionId) => {
+    if (followed.has(auctionId)) return;
+    await notifications.subscribe({ auctionIds: [auctionId] });
+    followed.add(auctionId);
+  };
+
+  // Cached while followed, otherwise fetched once and followed from then on
+  const auctionStatus = async (auctionId) => {
+    if (followed.has(auctionId) && cache.get(auctionId)) return cache.get(auctionId);
+    cache.remember(await auctionClient.getAuctionDetails(auctionId));
+    await follow(auctionId);
+    return cache.get(auctionId);
+  };
+
   while (true) {
-    const command = await askQuestion('Enter command (open, bid, close, exit): ');
+    const command = await askQuestion('Enter command (open, bid, commit, reveal, close, list, history, watch, exit): ');
 
     if (command === 'exit') {
       console.log('Exiting...');
       readline.close();
+      await auctionClient.close();
       break;
     }
 
-    if (command === 'open') {
-      const item = await askQuestion('Enter item: ');
-      const price = await askQuestion('Enter price: ');
-      let auctionType;
-      while (true) {
-        auctionType = await askQuestion('Enter auction type (english/dutch): ');
-        if (['english', 'dutch'].includes(auctionType.toLowerCase())) {
-          break;
+    try {
+      if (command === 'open') {
+        const item = await askQuestion('Enter item: ');
+        const currency = (await askQuestion('Enter currency [USD]: ')).toUpperCase() || undefined;
+        const price = parseFloat(await askQuestion('Enter price: '));
+        let auctionType;
+        while (true) {
+          auctionType = (await askQuestion(`Enter auction type (${AUCTION_TYPES.join('/')}): `)).toLowerCase();
+          if (AUCTION_TYPES.includes(auctionType)) {
+            break;
+          }
+          console.log(`Invalid auction type. Please enter one of: ${AUCTION_TYPES.join(', ')}`);
+        }
+        const options = await promptAuctionOptions(askQuestion, price, auctionType);
+        const auction = await auctionClient.openAuction({ item, price, currency, auctionType, ...options });
+        printOpenedAuction(auction);
+        cache.remember(auction.auction);
+        await follow(auction.auctionId);
+      } else if (command === 'bid') {
+        const auctionId = await askQuestion('Enter auction ID: ');
+        const details = await auctionStatus(auctionId);
+        if (details.closed) {
+          console.log('\nThis auction is already closed');
+          continue;
+        }
+        printAuctionStatus(details);
+
+        const bidder = await askQuestion('Enter bidder: ');
+        const multiUnit = details.quantity > 1;
+        const noun = details.auctionType === 'reverse' ? 'offer' : 'amount';
+        const amount = await askQuestion(multiUnit ? `Enter ${noun} per unit: ` : `Enter ${noun}: `);
+        const quantity = multiUnit ? await askQuantity(askQuestion, 'Enter number of units [1]: ', details.quantity) : undefined;
+        // The server keeps bidding up to a hidden maximum when you are outbid
+        const maxBid = details.auctionType === 'english' && !multiUnit
+          ? await askQuestion('Enter maximum bid to keep bidding up to (blank for none): ')
+          : '';
+        const resp = await auctionClient.placeBid(auctionId, bidder, amount, { maxBid, quantity });
+        console.log('\nBid placed successfully!');
+        if (multiUnit) {
+          console.log(`You ${details.auctionType === 'dutch' ? 'bought' : 'are winning'} ${resp.winningUnits} of ${details.quantity} units`);
+        } else if (!resp.leading) {
+          console.log(`Another bidder's maximum bid is higher; the price is now ${resp.currentPrice}`);
+        } else if (resp.maxBid !== undefined) {
+          console.log(`You lead at ${resp.currentPrice}, with bids placed for you up to ${resp.maxBid}`);
+        }
+        if (resp.endTime && resp.endTime !== details.endTime) {
+          console.log(`Auction extended until ${new Date(resp.endTime).toLocaleString()}`);
+        }
+        if (resp.reserveMet !== undefined) {
+          console.log(resp.reserveMet ? 'The reserve price has been met' : 'The reserve price has not been met yet');
         }
-        console.log('Invalid auction type. Please enter either "english" or "dutch"');
+        if (resp.closed && multiUnit) {
+          console.log('That was the last unit, the auction is now closed');
+        } else if (resp.closed) {
+          console.log(`Congratulations! You won the ${details.auctionType === 'dutch' ? 'Dutch auction' : 'auction at the buy-it-now price'}!`);
+          console.log(`Final price: ${resp.currentPrice}`);
+        }
+      } else if (command === 'commit') {
+        const auctionId = await askQuestion('Enter auction ID: ');
+        const bidder = await askQuestion('Enter bidder: ');
+        const amount = await askQuestion('Enter sealed amount: ');
+        const resp = await auctionClient.commitBid(auctionId, bidder, amount);
+        await follow(auctionId);
+        console.log('\nBid committed successfully!');
+        console.log('- Reveal opens at:', new Date(resp.commitDeadline).toLocaleString());
+        console.log('- Reveal closes at:', new Date(resp.revealDeadline).toLocaleString());
+      } else if (command === 'reveal') {
+        const auctionId = await askQuestion('Enter auction ID: ');
+        const bidder = await askQuestion('Enter bidder: ');
+        const resp = await auctionClient.revealBid(auctionId, bidder);
+        console.log(`\nBid of ${resp.amount} revealed successfully!`);
+        console.log('- Winner is picked at:', new Date(resp.revealDeadline).toLocaleString());
+      } else if (command === 'list') {
+        console.log('Filters (leave blank to skip):');
+        const filters = {
+          status: await askQuestion('- Status (open/closed): ') || undefined,
+          auctionType: await askQuestion(`- Type (${AUCTION_TYPES.join('/')}): `) || undefined,
+          seller: await askQuestion('- Seller key: ') || undefined,
+          currency: await askQuestion('- Currency: ') || undefined,
+          minPrice: parseFloat(await askQuestion('- Minimum price: ')) || undefined,
+          maxPrice: parseFloat(await askQuestion('- Maximum price: ')) || undefined
+        };
+        const hours = parseFloat(await askQuestion('- Opened in the last N hours: '));
+        if (hours > 0) filters.createdAfter = Date.now() - hours * 3600 * 1000;
+
+        let page = await auctionClient.listAuctions(filters);
+        page.auctions.forEach((auction) => cache.remember(auction));
+        printAuctionList(page);
+        while (page.nextCursor && (await askQuestion('\nShow more? (y/n): ')) === 'y') {
+          page = await auctionClient.listAuctions(filters, page.nextCursor);
+          page.auctions.forEach((auction) => cache.remember(auction));
+          printAuctionList(page);
+        }
+      } else if (command === 'history') {
+        const auctionId = await askQuestion('Enter auction ID: ');
+        let page = await auctionClient.getBidHistory(auctionId);
+        printBidHistory(page);
+        while (page.nextCursor && (await askQuestion('\nShow more? (y/n): ')) === 'y') {
+          page = await auctionClient.getBidHistory(auctionId, page.nextCursor);
+          printBidHistory(page);
+        }
+      } else if (command === 'watch') {
+        const auctionId = await askQuestion('Enter auction ID: ');
+        printAuctionStatus(await auctionStatus(auctionId));
+        console.log('Updates on this auction will be shown as they happen');
+      } else if (command === 'close') {
+        const auctionId = await askQuestion('Enter auction ID: ');
+        console.log('Attempting to close auction:', auctionId);
+        printCloseResult(await auctionClient.closeAuction(auctionId));
+      } else {
+        console.log('Invalid command');
+      }
+    } catch (error) {
+      // Bid rejections carry the price the bid was measured against
+      console.log(`\nError: ${error.message}`);
+      if ([ERROR_CODES.BID_TOO_LOW, ERROR_CODES.OFFER_TOO_HIGH].includes(error.code)) {
+        const { currentPrice, currentHighestBid, currentBestOffer, currency } = error.response;
+        const price = currentPrice ?? currentHighestBid ?? currentBestOffer;
+        if (price !== undefined) console.log(`Current price is: ${price} ${currency}`);
       }
-      await auctionClient.openAuction(item, parseFloat(price), auctionType);
-    } else if (command === 'bid') {
-      const auctionId = await askQuestion('Enter auction ID: ');
-      const bidder = await askQuestion('Enter bidder: ');
-      const amount = await askQuestion('Enter amount: ');
-      await auctionClient.placeBid(auctionId, bidder, parseFloat(amount));
-    } else if (command === 'close') {
-      const auctionId = await askQuestion('Enter auction ID: ');
-      await auctionClient.closeAuction(auctionId);
-    } else {
-      console.log('Invalid command');
     }
   }
 };
 
-main().catch(console.error);
\ No newline at end of file
+module.exports = { AuctionClient, AUCTION_TYPES, SETTLEMENT_RULES };
+
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -5,50 +5,94 @@ const DHT = require('hyperdht');
 const Hypercore = require('hypercore');
 const Hyperbee = require('hyperbee');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { loadConfig, resolveConfig } = require('../lib/config');
+const { discoverServers } = require('../lib/discovery');
+const { ProtocolError, ServerUnreachableError } = require('../lib/errors');
+const { CODECS, chooseCodec, codecOf, decodeMessage, encodeMessage } = require('../lib/codec');
+const { ERROR_CODES, PROTOCOL_VERSION } = require('../lib/protocol');
+const { sendRequest } = require('../lib/request');
+const { chooseServer } = require('./choose-server');
 
-class ClientServer {
-  constructor(serverPublicKey) {
-    try {
-      this.serverPublicKey = Buffer.from(serverPublicKey, 'hex');
-    } catch (error) {
-      console.error('Invalid server public key format.');
-      process.exit(1);
+const NOTIFICATION_PRINTERS = {
+  newAuction: (data) => {
+    console.log(`> New auction created: ${data.auctionId}`, data.auction);
+  },
+  newBid: (data) => {
+    console.log(`> New bid received for auction ${data.auctionId}:`, data.bid);
+  },
+  bidCommitted: (data) => {
+    console.log(`> Sealed bid committed on auction ${data.auctionId} by ${data.bidder} (${data.commitments} total)`);
+  },
+  bidRevealed: (data) => {
+    console.log(`> Sealed bid revealed on auction ${data.auctionId} by ${data.bidder}`);
+  },
+  auctionClosed: (data) => {
+    if (data.winner && data.quantity > 1) {
+      console.log(`> Auction closed ${data.auctionId}: ${data.unitsSold} of ${data.quantity} units sold (${data.settlementRule})`);
+      data.allocations.forEach(({ bidder, quantity, price }) => console.log(`  ${bidder}: ${quantity} at ${price} each`));
+    } else if (data.winner) {
+      console.log(`> Auction closed ${data.auctionId}: ${data.winner} wins at ${data.clearingPrice} ${data.currency} (${data.settlementRule})`);
+    } else if (data.outcome === 'reserve_not_met') {
+      console.log(`> Auction closed ${data.auctionId} without a sale: reserve not met`);
+    } else {
+      console.log(`> Auction closed ${data.auctionId} without a winner (${data.reason})`);
     }
+  },
+  auctionExtended: (data) => {
+    console.log(`> Auction ${data.auctionId} extended until ${new Date(data.endTime).toLocaleString()}`);
+  },
+  outbid: (data) => {
+    console.log(`> You have been outbid on auction ${data.auctionId} (${data.item}): your ${data.yourBid} was beaten by ${data.currentPrice} ${data.currency}`);
+  },
+  priceUpdate: (data) => {
+    console.log(`\n> Price update for auction ${data.auctionId}`);
+    console.log(`  Current price: ${data.currentPrice} ${data.currency}`);
   }
+};
 
-  async init() {
-    console.log('Initializing ClientServer...');
-    const hcore = new Hypercore('./db/rpc-client-server');
-    const hbee = new Hyperbee(hcore, { keyEncoding: 'utf-8', valueEncoding: 'binary' });
-    await hbee.ready();
-
-    let dhtSeed = (await hbee.get('dht-seed'))?.value;
-    if (!dhtSeed) {
-      dhtSeed = crypto.randomBytes(32);
-      await hbee.put('dht-seed', dhtSeed);
-    }
+const printNotification = (type, data) => {
+  const print = NOTIFICATION_PRINTERS[type];
+  if (print) print(data);
+};
 
-    const dht = new DHT({
-      port: 40002,
-      keyPair: DHT.keyPair(dhtSeed),
-      bootstrap: [{ host: '127.0.0.1', port: 30001 }]
-    });
+// Receives the server's notifications and emits each one as an event named
+// after its type ('newBid', 'auctionClosed', ... see NOTIFICATION_PRINTERS),
+// in sequence order and without duplicates. Every notification is also
+// emitted as 'notification' with (type, data).
+class ClientServer extends EventEmitter {
+  // options: any setting of lib/config.js, defaulting like the `clientServer`
+  // section, plus a logger ({ log, error }, console by default). With
+  // options.shared ({ hbee, dht, rpc }, see AuctionClient.listen()) it runs on
+  // another program's storage and DHT node instead of opening its own.
+  constructor(options = {}) {
+    super();
+    const { logger = console, shared = null, ...config } = options;
+    this.config = resolveConfig('clientServer', config);
+    this.logger = logger;
+    this.shared = shared;
+  }
 
-    console.log('Waiting for DHT to be ready...');
-    await dht.ready();
-    console.log('DHT is ready');
+  async init() {
+    this.logger.log('Initializing ClientServer...');
+    this.lastSeq = 0;
+    this.codec = 'json'; // until registerClient agrees on another
+    this.queue = Promise.resolve();
 
-    this.rpc = new RPC({ dht });
-    console.log('RPC instance created');
+    if (this.shared) {
+      ({ hbee: this.hbee, dht: this.dht, rpc: this.rpc } = this.shared);
+    } else {
+      await this.open();
+    }
 
     this.server = this.rpc.createServer();
-    console.log('RPC server created, attempting to listen...');
+    this.logger.log('RPC server created, attempting to listen...');
     await this.server.listen();
-    console.log('Client RPC server started listening on public key:', this.server.publicKey.toString('hex'));
+    this.logger.log('Client RPC server started listening on public key:', this.server.publicKey.toString('hex'));
     
     // Send a ready signal with more detailed response
     this.server.respond('serverReady', () => {
-      console.log('Received serverReady request');
+      this.logger.log('Received serverReady request');
       return Buffer.from(JSON.stringify({
         status: 'ready',
         timestamp: Date.now(),
@@ -57,112 +101,309 @@ class ClientServer {
     });
 
     // Wait a bit longer for network stabilization
-    console.log('Waiting for network stabilization...');
+    this.logger.log('Waiting for network stabilization...');
     await new Promise(resolve => setTimeout(resolve, 2000));
     
-    console.log('Attempting to register with main server...');
-    await this.registerClient();
     this.setupHandlers();
   }
 
+  async open() {
+    const hcore = new Hypercore(this.config.storage);
+    this.hbee = new Hyperbee(hcore, { keyEncoding: 'utf-8', valueEncoding: 'binary' });
+    await this.hbee.ready();
+
+    let dhtSeed = (await this.hbee.get('dht-seed'))?.value;
+    if (!dhtSeed) {
+      dhtSeed = crypto.randomBytes(32);
+      await this.hbee.put('dht-seed', dhtSeed);
+    }
+
+    const dht = new DHT({
+      port: this.config.port,
+      keyPair: DHT.keyPair(dhtSeed),
+      bootstrap: this.config.bootstrap
+    });
+
+    this.logger.log('Waiting for DHT to be ready...');
+    await dht.ready();
+    this.logger.log('DHT is ready');
+
+    // Listen on the persisted key so the server's outbox for us survives
+    // restarts on both sides
+    this.rpc = new RPC({ seed: dhtSeed, dht });
+    this.logger.log('RPC instance created');
+    this.dht = dht;
+  }
+
+  // Servers announced on the configured marketplace, with their serverReady details
+  async findServers() {
+    this.logger.log(`Looking for auction servers on marketplace "${this.config.marketplace}"...`);
+    return discoverServers(this.dht, this.rpc, this.config.marketplace, { timeout: this.config.requestTimeout });
+  }
+
+  // Whatever was shared stays open for its owner to close
+  async close() {
+    await this.server.close();
+    if (this.shared) return;
+    await this.rpc.destroy();
+    await this.dht.destroy();
+    await this.hbee.close();
+  }
+
+  async connect(serverPublicKey = this.config.serverKey) {
+    this.serverPublicKey = Buffer.from(serverPublicKey, 'hex');
+
+    // Last notification sequence number we processed from this server
+    const lastSeq = (await this.hbee.get(this.lastSeqKey()))?.value;
+    this.lastSeq = lastSeq ? parseInt(lastSeq.toString('utf-8'), 10) : 0;
+
+    this.logger.log('Attempting to register with main server...');
+    await this.registerClient();
+
+    // Pick up anything that was queued for us while we were offline
+    this.queue = this.queue.then(() => this.fetchMissed());
+    await this.queue;
+  }
+
+  // topics: { auctionIds, sellers, bidders, newAuctions, all }. Resolves to
+  // everything this client now receives.
+  async subscribe(topics) {
+    return this.updateSubscriptions('subscribe', topics);
+  }
+
+  async unsubscribe(topics) {
+    return this.updateSubscriptions('unsubscribe', topics);
+  }
+
+  async updateSubscriptions(method, topics) {
+    const { subscriptions } = await this.request(method, {
+      ...topics,
+      clientKey: this.server.publicKey.toString('hex')
+    });
+    return subscriptions;
+  }
+
+  request(method, payload) {
+    return sendRequest(this.rpc, this.serverPublicKey, method, payload, { timeout: this.config.requestTimeout, codec: this.codec });
+  }
+
+  lastSeqKey() {
+    return `last-seq!${this.serverPublicKey.toString('hex')}`;
+  }
+
+  async fetchMissed() {
+    try {
+      const resp = await this.request('fetchNotifications', {
+        clientKey: this.server.publicKey.toString('hex'),
+        since: this.lastSeq
+      });
+
+      if (resp.truncated) {
+        this.logger.log('> Some notifications expired on the server before they could be fetched');
+      }
+      if (resp.notifications.length > 0) {
+        this.logger.log(`> Catching up on ${resp.notifications.length} missed notification(s)`);
+      }
+
+      for (const { seq, type, data } of resp.notifications) {
+        if (seq <= this.lastSeq) continue;
+        this.dispatch(type, data);
+        this.lastSeq = seq;
+      }
+      await this.hbee.put(this.lastSeqKey(), Buffer.from(String(this.lastSeq), 'utf-8'));
+    } catch (error) {
+      this.logger.error('Error fetching missed notifications:', error.message);
+    }
+  }
+
+  // Notifications are handled one at a time in sequence order. Duplicates
+  // from retries are dropped, and a gap is filled from the server first.
+  receive(type, data) {
+    this.queue = this.queue.then(async () => {
+      if (data.seq !== undefined) {
+        if (data.seq <= this.lastSeq) return;
+        if (data.seq > this.lastSeq + 1) await this.fetchMissed();
+        if (data.seq <= this.lastSeq) return;
+      }
+
+      this.dispatch(type, data);
+
+      if (data.seq !== undefined) {
+        this.lastSeq = data.seq;
+        await this.hbee.put(this.lastSeqKey(), Buffer.from(String(this.lastSeq), 'utf-8'));
+      }
+    }).catch((error) => this.logger.error(`Error handling ${type} notification:`, error));
+    return this.queue;
+  }
+
+  // A failing listener must not stop the notifications after it
+  dispatch(type, data) {
+    try {
+      this.emit(type, data);
+      this.emit('notification', type, data);
+    } catch (error) {
+      this.logger.error(`Error in ${type} listener:`, error);
+    }
+  }
+
   async registerClient(retryCount = 5) {
     const register = async () => {
       try {
-        console.log('Attempting to register with server...');
+        this.logger.log('Attempting to register with server...');
         const payload = {
           serverPublicKey: this.server.publicKey.toString('hex'),
+          protocolVersion: PROTOCOL_VERSION,
+          codecs: CODECS,
           timestamp: Date.now()
         };
-        const response = await this.rpc.request(
-          this.serverPublicKey,
-          'registerClient',
-          Buffer.from(JSON.stringify(payload), 'utf-8'),
-          { timeout: 5000 } // Add timeout option
-        );
-        console.log('Client registered with the server:', response.toString('utf-8'));
-        return true;
+        const response = await this.request('registerClient', payload);
+        // Notifications come in this codec, and our own requests go out in it
+        this.codec = chooseCodec([response.codec]);
+        this.logger.log('Client registered with the server:', JSON.stringify(response));
+
+        // The server dropped us at some point and started our sequence over
+        const { latestSeq } = response;
+        if (Number.isInteger(latestSeq) && latestSeq < this.lastSeq) {
+          this.lastSeq = latestSeq;
+        }
+        return { registered: true };
       } catch (error) {
-        console.error('Error registering client:', error.message);
-        return false;
+        // Retrying will not make the two sides speak the same protocol, or
+        // make room on a server that is full
+        if (error instanceof ProtocolError || [ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION, ERROR_CODES.LIMIT_REACHED].includes(error.code)) {
+          throw error;
+        }
+        this.logger.error('Error registering client:', error.message);
+        // A rate limited request says when to try again
+        return { retryAfter: error.code === ERROR_CODES.RATE_LIMITED ? error.response.retryAfter : 2000 };
       }
     };
 
     let attempts = retryCount;
     while (attempts > 0) {
-      const success = await register();
-      if (success) return;
+      const { registered, retryAfter } = await register();
+      if (registered) return;
       
-      console.log(`Registration failed. Retrying in 2 seconds... (${attempts} attempts left)`);
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      this.logger.log(`Registration failed. Retrying in ${Math.ceil(retryAfter / 1000)} seconds... (${attempts} attempts left)`);
+      await new Promise(resolve => setTimeout(resolve, retryAfter));
       attempts--;
     }
-    
-    if (attempts === 0) {
-      console.error('Failed to register client after multiple attempts.');
-      process.exit(1);
-    }
+    throw new ServerUnreachableError('Failed to register client after multiple attempts');
   }
 
   setupHandlers() {
     this.server.respond('auctionUpdate', (reqRaw) => {
       const msg = JSON.parse(reqRaw.toString('utf-8'));
       if (msg.type === 'newAuction') {
-        console.log(`> New auction opened: ${msg.auctionId}`, msg.auction);
+        this.logger.log(`> New auction opened: ${msg.auctionId}`, msg.auction);
       } else if (msg.type === 'newBid') {
-        console.log(`> New bid placed on auction ${msg.auctionId}:`, msg.bid);
+        this.logger.log(`> New bid placed on auction ${msg.auctionId}:`, msg.bid);
       } else if (msg.type === 'auctionClosed') {
-        console.log(`> Auction ${msg.auctionId} closed with highest bid:`, msg.highestBid);
+        this.logger.log(`> Auction ${msg.auctionId} closed with highest bid:`, msg.highestBid);
       } else if (msg.type === 'auctionClosedError') {
-        console.log(`> Error ${msg.auctionId}`, msg.message);
+        this.logger.log(`> Error ${msg.auctionId}`, msg.message);
       }
     });
 
-    this.server.respond('newAuction', (reqRaw) => {
-      const data = JSON.parse(reqRaw.toString('utf-8'));
-      console.log(`> New auction created: ${data.auctionId}`, data.auction);
-      return Buffer.from(JSON.stringify({ received: true }), 'utf-8');
-    });
-
-    this.server.respond('newBid', (reqRaw) => {
-      const data = JSON.parse(reqRaw.toString('utf-8'));
-      console.log(`> New bid received for auction ${data.auctionId}:`, data.bid);
-      return Buffer.from(JSON.stringify({ received: true }), 'utf-8');
+    // Answered in whichever codec the server sent
+    this.server.respond('heartbeat', (reqRaw) => {
+      return encodeMessage(codecOf(reqRaw), { 
+        alive: true, 
+        lastSeq: this.lastSeq 
+      });
     });
 
-    this.server.respond('auctionClosed', (reqRaw) => {
-      const data = JSON.parse(reqRaw.toString('utf-8'));
-      console.log(`> Auction closed ${data.auctionId}`, data);
-      return Buffer.from(JSON.stringify({ received: true }), 'utf-8');
-    });
-
-    this.server.respond('priceUpdate', (reqRaw) => {
-      const data = JSON.parse(reqRaw.toString('utf-8'));
-      console.log(`\n> Price update for auction ${data.auctionId}`);
-      console.log(`  Current price: ${data.currentPrice.toFixed(2)}`);
-      return Buffer.from(JSON.stringify({ received: true }), 'utf-8');
-    });
+    for (const type of Object.keys(NOTIFICATION_PRINTERS)) {
+      this.server.respond(type, async (reqRaw) => {
+        const data = decodeMessage(reqRaw);
+        await this.receive(type, data);
+        return encodeMessage(codecOf(reqRaw), { received: true });
+      });
+    }
   }
 }
 
 const main = async () => {
-  const serverPublicKey = process.argv[2];
-
-  if (!serverPublicKey) {
-    console.error('Error: Server public key is required.');
-    process.exit(1);
-  }
+  const config = loadConfig('clientServer');
+  const readline = require('readline').createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  const askQuestion = (query) => {
+    return new Promise((resolve) => readline.question(query, resolve));
+  };
 
-  console.log('Server public key received:', serverPublicKey);
-
-  const auctionClient = new ClientServer(serverPublicKey);
+  const auctionClient = new ClientServer(config);
+  auctionClient.on('notification', printNotification);
 
   try {
     await auctionClient.init();
+
+    // Without a key on the command line, pick a server from the marketplace
+    let serverPublicKey = config.args[0] || config.serverKey;
+    if (!serverPublicKey) {
+      const servers = await auctionClient.findServers();
+      serverPublicKey = await chooseServer(servers, config.marketplace, askQuestion);
+    }
+    console.log('Server public key:', serverPublicKey);
+
+    await auctionClient.connect(serverPublicKey);
     console.log('ClientServer initialized successfully!');
   } catch (error) {
     console.error('Error initializing ClientServer:', error);
     process.exit(1);
   }
+
+  const commands = {
+    watch: (arg) => auctionClient.subscribe({ auctionIds: [arg] }),
+    unwatch: (arg) => auctionClient.unsubscribe({ auctionIds: [arg] }),
+    seller: (arg) => auctionClient.subscribe({ sellers: [arg] }),
+    unseller: (arg) => auctionClient.unsubscribe({ sellers: [arg] }),
+    bidder: (arg) => auctionClient.subscribe({ bidders: [arg] }),
+    new: () => auctionClient.subscribe({ newAuctions: true }),
+    all: () => auctionClient.subscribe({ all: true }),
+    none: () => auctionClient.unsubscribe({ all: true })
+  };
+
+  console.log('Commands: watch <auctionId>, unwatch <auctionId>, seller <key>, unseller <key>,');
+  console.log('          bidder <identityKey>, new, all, none, exit');
+
+  readline.on('line', async (line) => {
+    const [command, arg] = line.trim().split(/\s+/);
+    if (!command) return;
+
+    if (command === 'exit') {
+      console.log('Exiting...');
+      readline.close();
+      process.exit(0);
+    }
+
+    const run = commands[command];
+    if (!run) {
+      console.log('Invalid command');
+      return;
+    }
+    if (['watch', 'unwatch', 'seller', 'unseller', 'bidder'].includes(command) && !arg) {
+      console.log(`Usage: ${command} <${command.endsWith('watch') ? 'auctionId' : 'key'}>`);
+      return;
+    }
+
+    try {
+      const { all, newAuctions, auctionIds, sellers, bidders } = await run(arg);
+      console.log('Now receiving:');
+      if (all) console.log('- every event');
+      if (newAuctions) console.log('- new auctions');
+      auctionIds.forEach((id) => console.log('- auction', id));
+      sellers.forEach((key) => console.log('- auctions by seller', key));
+      bidders.forEach((key) => console.log('- outbid alerts for', key));
+    } catch (error) {
+      console.log(`Error: ${error.message}`);
+    }
+  });
 };
 
-main().catch(console.error);
\ No newline at end of file
+module.exports = { ClientServer, printNotification };
+
+if (require.main === module) {
+  main().catch(console.error);
+}
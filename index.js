@@ -5,364 +5,1227 @@ const DHT = require('hyperdht');
 const Hypercore = require('hypercore');
 const Hyperbee = require('hyperbee');
 const crypto = require('crypto');
+const { createCommitment, isCommitment } = require('./lib/commitment');
+const { RequestVerifier, stripSignature } = require('./lib/identity');
+const { AuctionScheduler } = require('./lib/scheduler');
+const { KeyedLock } = require('./lib/locks');
+const { AuctionStore, CursorError } = require('./lib/auction-store');
+const { Schema } = require('./lib/schema');
+const { AuctionEventLog } = require('./lib/event-log');
+const { loadConfig, resolveConfig } = require('./lib/config');
+const { ServerAnnouncer } = require('./lib/discovery');
+const { Notifier } = require('./lib/notifier');
+const { RateLimiter } = require('./lib/rate-limit');
+const { addSubscriptions, removeSubscriptions } = require('./lib/subscriptions');
+const { DEFAULT_SETTLEMENT_RULE, SETTLEMENT_RULES, isSettlementRule } = require('./lib/settlement');
+const { leadingBid, minimumProxyBid, parseMinIncrement, proxyBid, reserveMet } = require('./lib/bid-rules');
+const { AUCTION_TYPES, allocateBids, rulesOf, settle } = require('./lib/auction-types');
+const { dutchPriceAt, parseDutchTerms } = require('./lib/price-schedule');
+const { formatAmount, formatAmounts, parseCurrency, toMinorUnits } = require('./lib/money');
+const { ERROR_CODES, MIN_PROTOCOL_VERSION, PROTOCOL_VERSION, parseRequest } = require('./lib/protocol');
+const { chooseCodec, codecOf, encodeMessage } = require('./lib/codec');
+const { AuctionClient } = require('./auction-client/client');
+const { ClientServer } = require('./auction-client/server');
+const { AuctionError, ProtocolError, RequestRejectedError, ServerUnreachableError, ValidationError } = require('./lib/errors');
+
+// Default sealed auction windows, in seconds
+const DEFAULT_COMMIT_DURATION = 120;
+const DEFAULT_REVEAL_DURATION = 60;
+
+// Default soft-close window for timed English auctions, in seconds
+const DEFAULT_SOFT_CLOSE_WINDOW = 30;
+
+// A number of seconds a request may leave out: `fallback` if it does, NaN if
+// what it sent is not a number
+const secondsOf = (value, fallback) => (value === undefined || value === null ? fallback : Number(value));
 
 class AuctionServer {
-  constructor() {}
+  // options: any setting of lib/config.js, defaulting like the `server`
+  // section, plus a logger ({ log, error }, console by default)
+  constructor(options = {}) {
+    const { logger = console, ...config } = options;
+    this.config = resolveConfig('server', config);
+    this.logger = logger;
+    this.verifier = new RequestVerifier();
+    this.scheduler = new AuctionScheduler(this);
+    this.locks = new KeyedLock(); // serializes read-modify-write per auction and per client record
+    this.notifier = new Notifier(this, {
+      requestTimeout: this.config.requestTimeout,
+      heartbeatInterval: this.config.heartbeatInterval,
+      deadClientTimeout: this.config.deadClientTimeout
+    });
+    // Per peer and method; operators can change the limits while running
+    // through setLimits
+    this.limiter = new RateLimiter(this.config.rateLimits);
+    this.handlers = {}; // method -> (reqRaw, rpc) => encoded response, see respond()
+  }
+
+  // The key clients connect to, once init() has finished
+  get publicKey() {
+    return this.rpcServer.publicKey.toString('hex');
+  }
 
   async init() {
-    console.log('Initializing Auction Server...');
-    const hcore = new Hypercore('./db/rpc-server');
-    this.hbee = new Hyperbee(hcore, { keyEncoding: 'utf-8', valueEncoding: 'json' });
-    await this.hbee.ready();
-    console.log('Database ready');
+    this.logger.log('Initializing Auction Server...');
+    await this.openStorage();
 
-    const dhtSeed = crypto.randomBytes(32);
+    // Clients know the server by its public key, so the seed behind it is
+    // created once and kept with the rest of the server's data
+    let keySeed = (await this.schema.meta.get('keySeed'))?.value;
+    if (!keySeed) {
+      keySeed = crypto.randomBytes(32).toString('hex');
+      await this.schema.meta.put('keySeed', keySeed);
+    }
+    const seed = Buffer.from(keySeed, 'hex');
+
+    const keyPair = DHT.keyPair(seed);
     const dht = new DHT({
-      port: 40001,
-      keyPair: DHT.keyPair(dhtSeed),
-      bootstrap: [{ host: '127.0.0.1', port: 30001 }]
+      port: this.config.port,
+      keyPair,
+      bootstrap: this.config.bootstrap
     });
 
-    console.log('Waiting for DHT to be ready...');
+    this.logger.log('Waiting for DHT to be ready...');
     await dht.ready();
-    console.log('DHT is ready');
+    this.logger.log('DHT is ready');
 
-    const rpcSeed = crypto.randomBytes(32);
-    this.rpc = new RPC({ seed: rpcSeed, dht });
+    this.dht = dht;
+    this.rpc = new RPC({ seed, dht });
     this.rpcServer = this.rpc.createServer();
     
-    console.log('RPC server created, attempting to listen...');
+    this.logger.log('RPC server created, attempting to listen...');
     await this.rpcServer.listen();
-    console.log('RPC server started listening on public key:', this.rpcServer.publicKey.toString('hex'));
+    this.logger.log('RPC server started listening on public key:', this.rpcServer.publicKey.toString('hex'));
 
     this.setupHandlers();
-    console.log('Server initialization complete');
+    for (const [method, handler] of Object.entries(this.handlers)) {
+      this.rpcServer.respond(method, handler);
+    }
+    this.limiter.start();
+    await this.notifier.start();
+    await this.scheduler.restore();
+
+    this.startedAt = Date.now();
+    this.announcer = new ServerAnnouncer(dht, keyPair, this.config.marketplace, { logger: this.logger });
+    await this.announcer.start();
+    this.logger.log('Server initialization complete');
   }
 
-  setupHandlers() {
-    this.rpcServer.respond('serverReady', async () => {
-      return Buffer.from(JSON.stringify({
-        status: 'ready',
-        timestamp: Date.now(),
-        serverId: this.rpcServer.publicKey.toString('hex')
-      }), 'utf-8');
-    });
+  // The server's databases, migrated and indexed. This is all the handlers
+  // need, so the tests run them on a local store without the network.
+  async openStorage() {
+    const hcore = new Hypercore(this.config.storage);
+    this.hbee = new Hyperbee(hcore, { keyEncoding: 'utf-8', valueEncoding: 'json' });
+    await this.hbee.ready();
+    this.schema = new Schema(this.hbee, { logger: this.logger });
+    await this.schema.migrate();
+    this.store = new AuctionStore(this.schema, { logger: this.logger });
+    await this.store.ensureIndexes();
+    this.eventLog = new AuctionEventLog(new Hypercore(this.config.eventLog, { valueEncoding: 'json' }), this.schema, { logger: this.logger });
+    await this.eventLog.ready();
+    await this.eventLog.ensureBaseline(this.store);
+    this.logger.log('Event log key:', this.eventLog.key);
+    this.logger.log('Database ready');
+  }
 
-    this.rpcServer.respond('registerClient', async (reqRaw) => {
+  // Stops the timers and releases the network and storage, e.g. so another
+  // server can open the same storage in the same process
+  async close() {
+    this.announcer.stop();
+    this.scheduler.stop();
+    this.notifier.stop();
+    this.limiter.stop();
+    await this.rpcServer.close();
+    await this.rpc.destroy();
+    await this.dht.destroy();
+    await this.closeStorage();
+  }
+
+  // Stops the timers too, since they write to it
+  async closeStorage() {
+    this.scheduler.stop();
+    // A timer that already fired may still be closing an auction
+    await this.locks.idle();
+    await this.eventLog.core.close();
+    await this.hbee.close();
+  }
+
+  // Registers an RPC method in this.handlers, which init() serves. The payload
+  // is decoded and checked against the method's schema in lib/protocol.js
+  // before the handler sees it; the handler returns the response object, or a
+  // rejection ({ error, code, ... }). The response goes back in the codec the
+  // request came in. Peers over their rate limit for the method are turned
+  // away before anything is decoded.
+  respond(method, handler) {
+    this.handlers[method] = async (reqRaw, rpc) => {
+      let response;
       try {
-        const req = JSON.parse(reqRaw.toString('utf-8'));
-        const serverId = this.rpcServer.publicKey.toString('hex');
-
-        const clients = (await this.hbee.get(serverId))?.value || { clients: [] };
-        
-        // Check if client already exists
-        if (!clients.clients.includes(req.serverPublicKey)) {
-          clients.clients.push(req.serverPublicKey);
-          await this.hbee.put(serverId, clients);
-          console.log('Registered new client:', req.serverPublicKey);
+        const retryAfter = this.limiter.take(rpc.stream.remotePublicKey.toString('hex'), method);
+        if (retryAfter) {
+          response = {
+            error: `Too many ${method} requests, try again in ${Math.ceil(retryAfter / 1000)}s`,
+            code: ERROR_CODES.RATE_LIMITED,
+            retryAfter
+          };
         } else {
-          console.log('Client already registered:', req.serverPublicKey);
+          const { req, rejection } = parseRequest(method, reqRaw);
+          response = rejection || await handler(req, rpc);
         }
-
-        return Buffer.from(JSON.stringify({ 
-          success: true, 
-          message: 'Registration successful',
-          timestamp: Date.now()
-        }), 'utf-8');
       } catch (error) {
-        console.error('Error in registerClient:', error);
-        return Buffer.from(JSON.stringify({ 
-          success: false, 
-          error: error.message 
-        }), 'utf-8');
+        this.logger.error(`Error in ${method}:`, error);
+        response = { error: error.message, code: ERROR_CODES.INTERNAL_ERROR };
       }
+      return encodeMessage(codecOf(reqRaw), response);
+    };
+  }
+
+  setupHandlers() {
+    // Both sides name their protocol version here (and in registerClient), so
+    // clients that do not speak this server's protocol learn it up front;
+    // parseRequest turns them away before the handler runs. The
+    // client also offers its codecs and sends the rest of its requests in the
+    // one picked here.
+    this.respond('serverReady', async (req) => {
+      const now = Date.now();
+      return {
+        status: 'ready',
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        codec: chooseCodec(req.codecs),
+        timestamp: now,
+        serverId: this.rpcServer.publicKey.toString('hex'),
+        name: this.config.name,
+        marketplace: this.config.marketplace,
+        uptime: now - this.startedAt,
+        openAuctions: await this.store.countAuctions('open')
+      };
     });
 
-    this.rpcServer.respond('openAuction', async (reqRaw) => {
-      try {
-        const req = JSON.parse(reqRaw.toString('utf-8'));
-        const auctionId = crypto.randomBytes(16).toString('hex');
-
-        const auctionDetails = { 
-          ...req, 
-          auctionId, 
-          bids: [], 
-          closed: false, 
-          auctionType: req.auctionType || 'english', 
-          startPrice: parseFloat(req.price),
-          startTime: Date.now(),
-          // Dutch auction parameters
-          decrementRate: req.auctionType === 'dutch' ? (parseFloat(req.decrementRate) || 1) : 0,
-          minimumPrice: req.auctionType === 'dutch' ? (parseFloat(req.minimumPrice) || 0) : 0,
-          currentPrice: parseFloat(req.price) // Initial price
-        };
+    this.respond('registerClient', async (req) => {
+      const { client, isNew } = await this.notifier.register(req.serverPublicKey, chooseCodec(req.codecs), {
+        maxClients: this.config.maxClients
+      });
+      if (!client) {
+        return { error: `This server has reached its limit of ${this.config.maxClients} registered clients`, code: ERROR_CODES.LIMIT_REACHED };
+      }
+      if (isNew) {
+        this.logger.log('Registered new client:', req.serverPublicKey);
+      } else {
+        this.logger.log('Client already registered:', req.serverPublicKey);
+      }
+
+      return { 
+        success: true, 
+        message: 'Registration successful',
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        codec: client.codec,
+        latestSeq: client.nextSeq - 1,
+        timestamp: Date.now()
+      };
+    });
+
+    // A reconnecting client asks for everything after the last sequence
+    // number it processed. Only the client itself may read its outbox.
+    this.respond('fetchNotifications', async (req, rpc) => {
+      const remoteKey = rpc.stream.remotePublicKey.toString('hex');
 
-        await this.hbee.put(auctionId, auctionDetails);
-        await this.notifyClients('newAuction', { 
-          auctionId, 
-          auction: auctionDetails 
+      if (req.clientKey !== remoteKey) {
+        return { error: 'Notifications can only be fetched by their recipient', code: ERROR_CODES.FORBIDDEN };
+      }
+
+      const result = await this.notifier.fetch(req.clientKey, parseInt(req.since, 10) || 0);
+      if (!result) {
+        return { error: 'Client is not registered', code: ERROR_CODES.NOT_REGISTERED };
+      }
+
+      return result;
+    });
+
+    // subscribe/unsubscribe take { clientKey, auctionIds, sellers, bidders,
+    // newAuctions, all } (checked by their schema) and only act on the
+    // caller's own registration
+    for (const method of ['subscribe', 'unsubscribe']) {
+      this.respond(method, async (req, rpc) => {
+        const remoteKey = rpc.stream.remotePublicKey.toString('hex');
+
+        if (req.clientKey !== remoteKey) {
+          return { error: 'Clients can only change their own subscriptions', code: ERROR_CODES.FORBIDDEN };
+        }
+
+        const update = method === 'subscribe' ? addSubscriptions : removeSubscriptions;
+        const client = await this.notifier.updateClient(req.clientKey, (client) => {
+          client.subscriptions = update(client.subscriptions, req);
         });
-        
-        // For Dutch auctions, start price decrease
-        if (req.auctionType === 'dutch') {
-          this.startDutchAuctionTimer(auctionId);
+
+        if (!client) {
+          return { error: 'Client is not registered', code: ERROR_CODES.NOT_REGISTERED };
         }
 
-        return Buffer.from(JSON.stringify({ auctionId }), 'utf-8');
+        return { 
+          success: true, 
+          subscriptions: client.subscriptions 
+        };
+      });
+    }
+
+    this.respond('openAuction', async (req) => {
+      const { publicKey, error: authError } = this.verifier.verify(req, 'openAuction');
+      if (authError) {
+        return { error: authError, code: ERROR_CODES.UNAUTHENTICATED };
+      }
+      const auctionId = crypto.randomBytes(16).toString('hex');
+      const auctionType = req.auctionType || 'english';
+
+      if (!AUCTION_TYPES.includes(auctionType)) {
+        return { 
+          error: `Invalid auction type. Must be one of: ${AUCTION_TYPES.join(', ')}`,
+          code: ERROR_CODES.INVALID_REQUEST
+        };
+      }
+
+      // Dutch auctions sell to each taker at the price they accepted, so
+      // there is no losing bid for second-price settlement to charge
+      const settlementRules = Object.keys(SETTLEMENT_RULES).filter((rule) => auctionType !== 'dutch' || rule !== 'second-price');
+      const settlementRule = req.settlementRule || DEFAULT_SETTLEMENT_RULE;
+      if (!isSettlementRule(settlementRule) || !settlementRules.includes(settlementRule)) {
+        return { 
+          error: `Invalid settlement rule for ${auctionType} auction. Must be one of: ${settlementRules.join(', ')}`,
+          code: ERROR_CODES.INVALID_REQUEST
+        };
+      }
+
+      // Batches of identical lots; bid amounts are then per unit
+      const quantity = req.quantity !== undefined && req.quantity !== null && req.quantity !== '' ? Number(req.quantity) : 1;
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return { error: 'Quantity must be a whole number of at least 1', code: ERROR_CODES.INVALID_REQUEST };
+      }
+      // A commitment binds the amount only, not a number of units
+      if (auctionType === 'sealed' && quantity > 1) {
+        return { error: 'Sealed auctions sell a single unit', code: ERROR_CODES.INVALID_REQUEST };
+      }
+
+      // Amounts are stored in minor units of the auction's currency
+      let currency;
+      let startPrice;
+      try {
+        currency = parseCurrency(req.currency);
+        startPrice = toMinorUnits(req.price, currency, 'Price');
       } catch (error) {
-        console.error('Error in openAuction:', error);
-        return Buffer.from(JSON.stringify({ error: error.message }), 'utf-8');
+        return { error: error.message, code: ERROR_CODES.INVALID_REQUEST };
+      }
+
+      // The amounts of the request are kept parsed, not as they were sent
+      const { price, priceSchedule, ...requested } = stripSignature(req);
+      const startTime = Date.now();
+      const auctionDetails = { 
+        ...requested, 
+        auctionId, 
+        seller: publicKey,
+        bids: [], 
+        closed: false, 
+        auctionType, 
+        settlementRule,
+        quantity,
+        currency,
+        startPrice,
+        startTime,
+        // Dutch auction parameters, filled in from the price schedule below
+        decrementRate: 0,
+        minimumPrice: 0,
+        currentPrice: startPrice // Initial price
+      };
+
+      // Dutch prices fall on the seller's schedule down to their floor
+      if (auctionType === 'dutch') {
+        try {
+          Object.assign(auctionDetails, parseDutchTerms(req, startPrice, currency));
+        } catch (error) {
+          return { error: error.message, code: ERROR_CODES.INVALID_REQUEST };
+        }
       }
+
+      // Sealed auctions collect commitments until commitDeadline, then
+      // accept reveals until revealDeadline
+      if (auctionType === 'sealed') {
+        const commitDuration = secondsOf(req.commitDuration, DEFAULT_COMMIT_DURATION);
+        const revealDuration = secondsOf(req.revealDuration, DEFAULT_REVEAL_DURATION);
+        // Anything else would put a deadline in the past before anyone can bid
+        if (![commitDuration, revealDuration].every((seconds) => Number.isFinite(seconds) && seconds > 0)) {
+          return { error: 'Commit and reveal windows must be a positive number of seconds', code: ERROR_CODES.INVALID_REQUEST };
+        }
+        auctionDetails.commitments = {};
+        auctionDetails.commitDeadline = startTime + commitDuration * 1000;
+        auctionDetails.revealDeadline = auctionDetails.commitDeadline + revealDuration * 1000;
+      }
+
+      // Timed English and reverse auctions close themselves at endTime. Bids
+      // inside the soft-close window push endTime out so nobody can snipe
+      // the last second
+      if (rulesOf({ auctionType }).timed && (req.duration || req.endTime)) {
+        const endTime = req.endTime ? Number(req.endTime) : startTime + parseFloat(req.duration) * 1000;
+        if (!Number.isFinite(endTime) || endTime <= startTime) {
+          return { error: 'End time must be in the future', code: ERROR_CODES.INVALID_REQUEST };
+        }
+
+        const softCloseWindow = secondsOf(req.softCloseWindow, DEFAULT_SOFT_CLOSE_WINDOW);
+        const softCloseExtension = secondsOf(req.softCloseExtension, softCloseWindow);
+        // A negative extension would never move endTime, and NaN would turn
+        // soft close off without saying so
+        if (![softCloseWindow, softCloseExtension].every((seconds) => Number.isFinite(seconds) && seconds >= 0)) {
+          return { error: 'Soft-close window and extension must be a number of seconds, 0 or more', code: ERROR_CODES.INVALID_REQUEST };
+        }
+        auctionDetails.endTime = endTime;
+        auctionDetails.softCloseWindow = softCloseWindow;
+        auctionDetails.softCloseExtension = softCloseExtension;
+      }
+
+      // Optional selling terms: a hidden reserve, a buy-it-now price that
+      // ends the auction, and a minimum raise per bid (English), or a
+      // minimum cut per offer (reverse)
+      const { error: termsError, terms } = this.parseSellingTerms(req, auctionType, startPrice, currency);
+      if (termsError) {
+        return { error: termsError, code: ERROR_CODES.INVALID_REQUEST };
+      }
+      if (quantity > 1 && terms.buyNowPrice) {
+        return { error: 'Buy-it-now is only available on single-unit auctions', code: ERROR_CODES.INVALID_REQUEST };
+      }
+      Object.assign(auctionDetails, terms);
+
+      // The seller's open auctions are counted and the new one stored under
+      // one lock, so parallel requests cannot overshoot the cap
+      const { bids, ...auction } = auctionDetails;
+      const capRejection = await this.locks.run(`seller!${publicKey}`, async () => {
+        const { maxOpenAuctionsPerSeller } = this.config;
+        if (maxOpenAuctionsPerSeller && await this.store.countAuctions('open', { seller: publicKey }) >= maxOpenAuctionsPerSeller) {
+          return {
+            error: `You already have ${maxOpenAuctionsPerSeller} open auctions, the most this server allows. Close one first.`,
+            code: ERROR_CODES.LIMIT_REACHED
+          };
+        }
+        await this.eventLog.append(auctionId, 'opened', { auction, request: req });
+        await this.store.saveAuction(auctionDetails);
+        return null;
+      });
+      if (capRejection) {
+        return capRejection;
+      }
+      // Subscribers get the listing summary; the full terms are one
+      // getAuctionDetails away for those who follow the auction
+      await this.notifyClients('newAuction', { 
+        auctionId, 
+        auction: this.auctionSummary(auctionDetails) 
+      }, { seller: auctionDetails.seller });
+      
+      // Dutch price ticks and scheduled closes
+      this.scheduler.schedule(auctionDetails);
+
+      return { auctionId, auction: this.publicAuctionView(auctionDetails) };
     });
 
-    this.rpcServer.respond('placeBid', async (reqRaw) => {
-      try {
-        const req = JSON.parse(reqRaw.toString('utf-8'));
-        const auctionDetails = (await this.hbee.get(req.auctionId))?.value;
-        
+    this.respond('placeBid', async (req) => {
+      const { publicKey, error: authError } = this.verifier.verify(req, 'placeBid');
+      if (authError) {
+        return { error: authError, code: ERROR_CODES.UNAUTHENTICATED };
+      }
+
+      // Bids and closes on one auction are applied strictly one at a time
+      return await this.locks.run(req.auctionId, async () => {
+        const auctionDetails = await this.store.getAuction(req.auctionId);
+      
         if (!auctionDetails) {
-          return Buffer.from(JSON.stringify({ error: 'Auction not found' }), 'utf-8');
+          return { error: 'Auction not found', code: ERROR_CODES.AUCTION_NOT_FOUND };
         }
 
         if (auctionDetails.closed) {
-          return Buffer.from(JSON.stringify({ error: 'Auction already closed' }), 'utf-8');
+          return this.rejectBid(req, publicKey, { error: 'Auction already closed', code: ERROR_CODES.AUCTION_CLOSED });
         }
 
-        const bidAmount = parseFloat(req.amount);
+        // How this type takes bids, see lib/auction-types.js
+        const typeRules = rulesOf(auctionDetails);
+        if (!typeRules.takesBids) {
+          return this.rejectBid(req, publicKey, typeRules.checkBid(auctionDetails));
+        }
 
-        if (auctionDetails.auctionType === 'dutch') {
-          const currentPrice = this.calculateDutchPrice(
-            auctionDetails.startPrice,
-            auctionDetails.startTime,
-            auctionDetails.decrementRate,
-            auctionDetails.minimumPrice
-          );
+        // A maximum bid may come without an amount: the server then bids
+        // for the bidder, starting at the lowest amount that takes the lead
+        const isSet = (value) => value !== undefined && value !== null && value !== '';
+        let maxBid;
+        let bidAmount;
+        try {
+          maxBid = isSet(req.maxBid) ? toMinorUnits(req.maxBid, auctionDetails.currency, 'Maximum bid') : undefined;
+          bidAmount = isSet(req.amount) || maxBid === undefined ? toMinorUnits(req.amount, auctionDetails.currency, 'Bid amount') : undefined;
+        } catch (error) {
+          return this.rejectBid(req, publicKey, { error: error.message, code: ERROR_CODES.INVALID_REQUEST });
+        }
 
-          if (bidAmount < currentPrice) {
-            return Buffer.from(JSON.stringify({ 
-              error: 'Bid must be equal to or higher than current price',
-              currentPrice 
-            }), 'utf-8');
+        if (bidAmount === 0) {
+          return this.rejectBid(req, publicKey, { error: 'Bid amount must be a positive number', code: ERROR_CODES.INVALID_REQUEST });
+        }
+
+        // Units wanted at `amount` each
+        const auctionQuantity = auctionDetails.quantity || 1;
+        const bidQuantity = isSet(req.quantity) ? Number(req.quantity) : 1;
+        if (!Number.isInteger(bidQuantity) || bidQuantity < 1 || bidQuantity > auctionQuantity) {
+          return this.rejectBid(req, publicKey, { error: `Quantity must be a whole number from 1 to ${auctionQuantity}`, code: ERROR_CODES.INVALID_REQUEST });
+        }
+
+        if (maxBid !== undefined) {
+          if (auctionDetails.auctionType !== 'english' || auctionQuantity > 1) {
+            return this.rejectBid(req, publicKey, { 
+              error: 'Maximum bids are only taken on single-unit English auctions',
+              code: ERROR_CODES.WRONG_AUCTION_TYPE
+            });
+          }
+          if (maxBid < (bidAmount || 0)) {
+            return this.rejectBid(req, publicKey, { error: 'Maximum bid must be no lower than the bid amount', code: ERROR_CODES.INVALID_REQUEST });
+          }
+        }
+
+        if (auctionDetails.endTime && Date.now() >= auctionDetails.endTime) {
+          return this.rejectBid(req, publicKey, { 
+            error: 'Auction has ended',
+            code: ERROR_CODES.AUCTION_CLOSED,
+            endTime: auctionDetails.endTime
+          });
+        }
+
+        // English bids beat the leader (or starting price) by the minimum
+        // increment, reverse offers undercut the best one, Dutch bids meet
+        // the falling price
+        const rejection = bidAmount !== undefined
+          ? typeRules.checkBid(auctionDetails, bidAmount, Date.now())
+          : this.checkMaxBid(auctionDetails, publicKey, maxBid);
+        if (rejection) {
+          return this.rejectBid(req, publicKey, this.formatForClients(auctionDetails, rejection));
+        }
+
+        const previousEndTime = auctionDetails.endTime;
+        const placed = []; // { bid, displaced, currentPrice, reserveMet } in order
+
+        // Every bid that loses units to a new one gets a targeted outbid
+        // notice. Amounts are per unit
+        const recordBid = async (bid, type, data) => {
+          const before = allocateBids(auctionDetails);
+          auctionDetails.bids.push(bid);
+          auctionDetails.currentPrice = typeRules.priceAfterBid(auctionDetails, bid.timestamp);
+          const after = new Map(allocateBids(auctionDetails)
+            .map((allocation) => [allocation.bid, allocation.quantity]));
+          placed.push({
+            bid,
+            displaced: before.filter((allocation) => (after.get(allocation.bid) || 0) < allocation.quantity).map(({ bid }) => bid),
+            currentPrice: auctionDetails.currentPrice,
+            reserveMet: auctionDetails.reservePrice ? reserveMet(auctionDetails) : undefined
+          });
+
+          // Soft close: a late bid moves the end time out
+          const endTime = auctionDetails.endTime;
+          if (endTime && endTime - bid.timestamp < auctionDetails.softCloseWindow * 1000) {
+            auctionDetails.endTime = Math.max(endTime, bid.timestamp + auctionDetails.softCloseExtension * 1000);
           }
 
-          // Dutch auction ends with first valid bid
-          auctionDetails.closed = true;
-          auctionDetails.winner = req.bidder;
-          auctionDetails.finalPrice = bidAmount;
-          auctionDetails.winningBid = {
-            bidder: req.bidder,
-            amount: bidAmount,
-            timestamp: Date.now()
+          await this.eventLog.append(req.auctionId, type, data);
+          if (auctionDetails.endTime !== endTime) {
+            await this.eventLog.append(req.auctionId, 'extended', { previousEndTime: endTime, endTime: auctionDetails.endTime });
+          }
+        };
+
+        const now = Date.now();
+        if (bidAmount !== undefined) {
+          const newBid = typeRules.recordedBid(auctionDetails, { 
+            bidder: req.bidder, 
+            bidderKey: publicKey,
+            amount: bidAmount, 
+            timestamp: now,
+            quantity: auctionQuantity > 1 ? bidQuantity : undefined
+          });
+          await recordBid(newBid, 'bidAccepted', { bid: newBid, maxBid, request: req });
+        } else {
+          await this.eventLog.append(req.auctionId, 'maxBidSet', { 
+            bidder: req.bidder, 
+            bidderKey: publicKey, 
+            maxBid, 
+            setAt: now, 
+            request: req 
+          });
+        }
+
+        // The ceiling stays hidden; the server bids against it on the
+        // bidders' behalf until only the highest one is left
+        if (maxBid !== undefined) {
+          auctionDetails.maxBids = { 
+            ...auctionDetails.maxBids, 
+            [publicKey]: { bidder: req.bidder, maxBid, setAt: now } 
           };
-        } else { // English auction
-          // Get current highest bid or use starting price if no bids
-          const currentHighestBid = auctionDetails.bids.length > 0 
-            ? auctionDetails.bids.reduce((max, bid) => bid.amount > max.amount ? bid : max, { amount: 0 })
-            : { amount: auctionDetails.startPrice };
-
-          if (bidAmount <= currentHighestBid.amount) {
-            return Buffer.from(JSON.stringify({ 
-              error: `Bid must be higher than ${currentHighestBid.amount === auctionDetails.startPrice ? 'starting price' : 'current highest bid'}`,
-              currentHighestBid: currentHighestBid.amount,
-              startPrice: auctionDetails.startPrice
-            }), 'utf-8');
+        }
+        // Dutch auctions end once their last unit is taken, English ones at
+        // buy-it-now
+        let lastBid = placed.length > 0 ? placed[0].bid : null;
+        let closesAuction = Boolean(lastBid) && typeRules.closesAfterBid(auctionDetails, lastBid);
+        while (!closesAuction) {
+          const autoBid = proxyBid(auctionDetails);
+          if (!autoBid) break;
+          lastBid = { ...autoBid, timestamp: Date.now() };
+          await recordBid(lastBid, 'autoBid', { bid: lastBid });
+          closesAuction = typeRules.closesAfterBid(auctionDetails, lastBid);
+        }
+
+        await this.store.saveAuction(auctionDetails);
+        for (const { bid, displaced, currentPrice, ...placement } of placed) {
+          await this.notifyClients('newBid', this.formatForClients(auctionDetails, { 
+            auctionId: req.auctionId, 
+            bid,
+            auctionType: auctionDetails.auctionType,
+            closed: closesAuction && bid === lastBid,
+            currentPrice,
+            reserveMet: placement.reserveMet
+          }), { seller: auctionDetails.seller });
+
+          for (const outbid of displaced) {
+            if (!outbid.bidderKey || outbid.bidderKey === bid.bidderKey) continue;
+            await this.notifyClients('outbid', this.formatForClients(auctionDetails, { 
+              auctionId: req.auctionId, 
+              item: auctionDetails.item,
+              yourBid: outbid.amount,
+              currentPrice
+            }), { bidderKey: outbid.bidderKey });
           }
         }
 
-        // Record the bid
-        const newBid = { 
-          bidder: req.bidder, 
-          amount: bidAmount, 
-          timestamp: Date.now() 
-        };
-        auctionDetails.bids.push(newBid);
-        auctionDetails.currentPrice = bidAmount;
-        
-        await this.hbee.put(req.auctionId, auctionDetails);
-        await this.notifyClients('newBid', { 
-          auctionId: req.auctionId, 
-          bid: newBid,
-          auctionType: auctionDetails.auctionType,
+        if (closesAuction) {
+          await this.finalizeAuction(auctionDetails, auctionDetails.auctionType === 'english' ? 'buy_now' : 'closed');
+        } else if (auctionDetails.endTime !== previousEndTime) {
+          this.logger.log(`Auction ${req.auctionId} extended until ${new Date(auctionDetails.endTime).toLocaleString()}`);
+          await this.notifyClients('auctionExtended', { 
+            auctionId: req.auctionId, 
+            previousEndTime,
+            endTime: auctionDetails.endTime
+          }, { seller: auctionDetails.seller });
+        }
+
+        // Units the bidder holds right now across all their bids
+        const winningUnits = allocateBids(auctionDetails)
+          .filter(({ bid }) => bid.bidderKey === publicKey)
+          .reduce((sum, allocation) => sum + allocation.quantity, 0);
+        return this.formatForClients(auctionDetails, { 
+          success: true,
+          currentPrice: auctionDetails.currentPrice,
+          leading: winningUnits > 0,
+          quantity: auctionQuantity > 1 ? placed[0].bid.quantity : undefined,
+          winningUnits: auctionQuantity > 1 ? winningUnits : undefined,
+          maxBid,
           closed: auctionDetails.closed,
-          currentPrice: bidAmount
+          endTime: auctionDetails.endTime,
+          reserveMet: auctionDetails.reservePrice ? reserveMet(auctionDetails) : undefined,
+          outcome: auctionDetails.outcome
         });
+      });
+    });
 
-        return Buffer.from(JSON.stringify({ 
-          success: true,
-          currentPrice: bidAmount,
-          closed: auctionDetails.closed
-        }), 'utf-8');
-      } catch (error) {
-        console.error('Error in placeBid:', error);
-        return Buffer.from(JSON.stringify({ error: error.message }), 'utf-8');
+    this.respond('closeAuction', async (req) => {
+      const { publicKey, error: authError } = this.verifier.verify(req, 'closeAuction');
+      if (authError) {
+        return { error: authError, code: ERROR_CODES.UNAUTHENTICATED };
       }
-    });
 
-    this.rpcServer.respond('closeAuction', async (reqRaw) => {
-      try {
-        const req = JSON.parse(reqRaw.toString('utf-8'));
-        const auctionDetails = (await this.hbee.get(req.auctionId))?.value;
-        
+      return await this.locks.run(req.auctionId, async () => {
+        const auctionDetails = await this.store.getAuction(req.auctionId);
+      
         if (!auctionDetails) {
-          return Buffer.from(JSON.stringify({ 
-            error: 'Auction not found' 
-          }), 'utf-8');
+          return { 
+            error: 'Auction not found',
+            code: ERROR_CODES.AUCTION_NOT_FOUND
+          };
         }
 
         if (auctionDetails.closed) {
-          return Buffer.from(JSON.stringify({ 
+          return this.formatForClients(auctionDetails, { 
             error: 'Auction already closed',
+            code: ERROR_CODES.AUCTION_CLOSED,
             highestBid: auctionDetails.highestBid || null
-          }), 'utf-8');
-        }
-
-        // Mark auction as closed
-        auctionDetails.closed = true;
-        
-        // For English auctions, find the highest bid
-        if (auctionDetails.auctionType === 'english') {
-          const highestBid = auctionDetails.bids.reduce(
-            (max, bid) => bid.amount > max.amount ? bid : max, 
-            { amount: 0, bidder: null, timestamp: null }
-          );
-          auctionDetails.highestBid = highestBid;
-        }
-        // For Dutch auctions, the winning bid is already stored
-        
-        // Update auction details
-        await this.hbee.put(req.auctionId, auctionDetails);
-
-        // Notify all clients about auction closure
-        await this.notifyClients('auctionClosed', { 
-          auctionId: req.auctionId, 
-          highestBid: auctionDetails.highestBid,
-          winningBid: auctionDetails.winningBid,
-          auctionType: auctionDetails.auctionType,
-          finalPrice: auctionDetails.finalPrice
-        });
+          });
+        }
+
+        if (auctionDetails.seller !== publicKey) {
+          return { 
+            error: 'Only the seller can close this auction',
+            code: ERROR_CODES.FORBIDDEN
+          };
+        }
+
+        // Sealed bids stay secret until every bidder had the chance to reveal
+        const closeRejection = rulesOf(auctionDetails).checkClose(auctionDetails, Date.now());
+        if (closeRejection) {
+          return closeRejection;
+        }
 
-        return Buffer.from(JSON.stringify({ 
+        await this.finalizeAuction(auctionDetails, 'closed', Date.now(), req);
+
+        return this.formatForClients(auctionDetails, { 
           success: true,
+          outcome: auctionDetails.outcome,
           highestBid: auctionDetails.highestBid,
           winningBid: auctionDetails.winningBid,
+          winner: auctionDetails.winner,
+          clearingPrice: auctionDetails.clearingPrice,
+          allocations: auctionDetails.allocations,
+          unitsSold: auctionDetails.unitsSold,
+          quantity: auctionDetails.quantity,
+          settlementRule: auctionDetails.settlementRule,
           auctionType: auctionDetails.auctionType
-        }), 'utf-8');
+        });
+      });
+    });
+
+    this.respond('getAuctionDetails', async (req) => {
+      const auctionDetails = await this.store.getAuction(req.auctionId);
+      
+      if (!auctionDetails) {
+        return { error: 'Auction not found', code: ERROR_CODES.AUCTION_NOT_FOUND };
+      }
+
+      if (auctionDetails.auctionType === 'dutch') {
+        auctionDetails.currentPrice = this.calculateDutchPrice(auctionDetails);
+      }
+
+      return this.publicAuctionView(auctionDetails);
+    });
+
+    this.respond('listAuctions', async (req) => {
+
+      if (req.status && !['open', 'closed'].includes(req.status)) {
+        return { error: 'Status must be open or closed', code: ERROR_CODES.INVALID_REQUEST };
+      }
+      if (req.auctionType && !AUCTION_TYPES.includes(req.auctionType)) {
+        return { 
+          error: `Invalid auction type. Must be one of: ${AUCTION_TYPES.join(', ')}`,
+          code: ERROR_CODES.INVALID_REQUEST
+        };
+      }
+
+      // Prices only compare within one currency, so a price filter also
+      // limits the listing to its currency (the default one unless given)
+      const isSet = (value) => value !== undefined && value !== null && value !== '';
+      const priced = isSet(req.minPrice) || isSet(req.maxPrice);
+      let currency;
+      let minPrice;
+      let maxPrice;
+      try {
+        currency = isSet(req.currency) || priced ? parseCurrency(req.currency) : undefined;
+        minPrice = isSet(req.minPrice) ? toMinorUnits(req.minPrice, currency, 'Minimum price') : undefined;
+        maxPrice = isSet(req.maxPrice) ? toMinorUnits(req.maxPrice, currency, 'Maximum price') : undefined;
       } catch (error) {
-        console.error('Error in closeAuction:', error);
-        return Buffer.from(JSON.stringify({ 
-          error: error.message 
-        }), 'utf-8');
+        return { error: error.message, code: ERROR_CODES.INVALID_REQUEST };
       }
+
+      let page;
+      try {
+        page = await this.store.listAuctions({
+          status: req.status,
+          auctionType: req.auctionType,
+          seller: req.seller,
+          currency,
+          minPrice,
+          maxPrice,
+          createdAfter: req.createdAfter,
+          createdBefore: req.createdBefore
+        }, { cursor: req.cursor, limit: req.limit });
+      } catch (error) {
+        if (error instanceof CursorError) return { error: error.message, code: ERROR_CODES.INVALID_REQUEST };
+        throw error;
+      }
+      const { auctions, nextCursor } = page;
+
+      return { 
+        auctions: auctions.map((auction) => this.auctionSummary(auction)),
+        nextCursor 
+      };
     });
 
-    this.rpcServer.respond('getAuctionDetails', async (reqRaw) => {
+    this.respond('getBidHistory', async (req) => {
+      const auctionDetails = await this.store.getAuction(req.auctionId);
+
+      if (!auctionDetails) {
+        return { error: 'Auction not found', code: ERROR_CODES.AUCTION_NOT_FOUND };
+      }
+
+      if (auctionDetails.auctionType === 'sealed' && !auctionDetails.closed) {
+        return { error: 'Sealed bids stay hidden until the auction closes', code: ERROR_CODES.NOT_YET_AVAILABLE };
+      }
+
+      let page;
       try {
-        const req = JSON.parse(reqRaw.toString('utf-8'));
-        const auctionDetails = (await this.hbee.get(req.auctionId))?.value;
-        
+        page = await this.store.getBidHistory(req.auctionId, {
+          cursor: req.cursor,
+          limit: req.limit,
+          order: req.order
+        });
+      } catch (error) {
+        if (error instanceof CursorError) return { error: error.message, code: ERROR_CODES.INVALID_REQUEST };
+        throw error;
+      }
+      const { bids, nextCursor } = page;
+
+      return this.formatForClients(auctionDetails, { 
+        auctionId: req.auctionId, 
+        bids, 
+        nextCursor 
+      });
+    });
+
+    this.respond('getAuctionAudit', async (req) => {
+      const auctionDetails = await this.store.getAuction(req.auctionId, { withBids: false });
+
+      if (!auctionDetails) {
+        return { error: 'Auction not found', code: ERROR_CODES.AUCTION_NOT_FOUND };
+      }
+
+      // Reveal events carry the amounts, so they wait for the close too
+      if (auctionDetails.auctionType === 'sealed' && !auctionDetails.closed) {
+        return { error: 'Sealed bids stay hidden until the auction closes', code: ERROR_CODES.NOT_YET_AVAILABLE };
+      }
+
+      // The seller's signed request names the reserve
+      if (auctionDetails.reservePrice && !auctionDetails.closed) {
+        return { error: 'The audit of an auction with a reserve is available once it closes', code: ERROR_CODES.NOT_YET_AVAILABLE };
+      }
+
+      // So do the bidders' requests that set a maximum bid
+      if (auctionDetails.maxBids && !auctionDetails.closed) {
+        return { error: 'The audit of an auction with maximum bids is available once it closes', code: ERROR_CODES.NOT_YET_AVAILABLE };
+      }
+
+      return { 
+        auctionId: req.auctionId, 
+        logKey: this.eventLog.key,
+        events: await this.eventLog.events(req.auctionId)
+      };
+    });
+
+    this.respond('commitBid', async (req) => {
+      const { publicKey, error: authError } = this.verifier.verify(req, 'commitBid');
+      if (authError) {
+        return { error: authError, code: ERROR_CODES.UNAUTHENTICATED };
+      }
+
+      return await this.locks.run(req.auctionId, async () => {
+        const auctionDetails = await this.store.getAuction(req.auctionId);
+
         if (!auctionDetails) {
-          return Buffer.from(JSON.stringify({ error: 'Auction not found' }), 'utf-8');
+          return { error: 'Auction not found', code: ERROR_CODES.AUCTION_NOT_FOUND };
         }
 
-        if (auctionDetails.auctionType === 'dutch') {
-          const currentPrice = this.calculateDutchPrice(
-            auctionDetails.startPrice,
-            auctionDetails.startTime,
-            auctionDetails.decrementRate,
-            auctionDetails.minimumPrice
-          );
-          auctionDetails.currentPrice = currentPrice;
+        if (auctionDetails.auctionType !== 'sealed') {
+          return { error: 'Only sealed auctions accept commitments', code: ERROR_CODES.WRONG_AUCTION_TYPE };
         }
 
-        return Buffer.from(JSON.stringify(auctionDetails), 'utf-8');
-      } catch (error) {
-        console.error('Error in getAuctionDetails:', error);
-        return Buffer.from(JSON.stringify({ error: error.message }), 'utf-8');
+        if (auctionDetails.closed || Date.now() >= auctionDetails.commitDeadline) {
+          return this.rejectBid(req, publicKey, { 
+            error: 'Commit window is closed',
+            code: ERROR_CODES.OUTSIDE_WINDOW,
+            commitDeadline: auctionDetails.commitDeadline
+          });
+        }
+
+        if (!req.bidder || !isCommitment(req.commitment)) {
+          return this.rejectBid(req, publicKey, { error: 'A bidder and a sha256 commitment are required', code: ERROR_CODES.INVALID_REQUEST });
+        }
+
+        // A bidder may replace their own commitment until the commit deadline
+        const existing = auctionDetails.commitments[req.bidder];
+        if (existing && existing.bidderKey !== publicKey) {
+          return this.rejectBid(req, publicKey, { error: 'Bidder name is already taken on this auction', code: ERROR_CODES.CONFLICT });
+        }
+
+        const commitment = {
+          bidderKey: publicKey,
+          commitment: req.commitment,
+          timestamp: Date.now()
+        };
+        auctionDetails.commitments[req.bidder] = commitment;
+
+        await this.eventLog.append(req.auctionId, 'bidCommitted', { bidder: req.bidder, commitment, request: req });
+        await this.store.saveAuction(auctionDetails);
+        await this.notifyClients('bidCommitted', { 
+          auctionId: req.auctionId, 
+          bidder: req.bidder,
+          commitments: Object.keys(auctionDetails.commitments).length
+        }, { seller: auctionDetails.seller });
+
+        return { 
+          success: true,
+          commitDeadline: auctionDetails.commitDeadline,
+          revealDeadline: auctionDetails.revealDeadline
+        };
+      });
+    });
+
+    this.respond('revealBid', async (req) => {
+      const { publicKey, error: authError } = this.verifier.verify(req, 'revealBid');
+      if (authError) {
+        return { error: authError, code: ERROR_CODES.UNAUTHENTICATED };
       }
+
+      return await this.locks.run(req.auctionId, async () => {
+        const auctionDetails = await this.store.getAuction(req.auctionId);
+
+        if (!auctionDetails) {
+          return { error: 'Auction not found', code: ERROR_CODES.AUCTION_NOT_FOUND };
+        }
+
+        if (auctionDetails.auctionType !== 'sealed') {
+          return { error: 'Only sealed auctions accept reveals', code: ERROR_CODES.WRONG_AUCTION_TYPE };
+        }
+
+        const now = Date.now();
+        if (now < auctionDetails.commitDeadline) {
+          return this.rejectBid(req, publicKey, { 
+            error: 'Reveal window has not started yet',
+            code: ERROR_CODES.OUTSIDE_WINDOW,
+            commitDeadline: auctionDetails.commitDeadline
+          });
+        }
+
+        if (auctionDetails.closed || now >= auctionDetails.revealDeadline) {
+          return this.rejectBid(req, publicKey, { error: 'Reveal window is closed', code: ERROR_CODES.OUTSIDE_WINDOW });
+        }
+
+        const committed = auctionDetails.commitments[req.bidder];
+        if (!committed || committed.bidderKey !== publicKey) {
+          return this.rejectBid(req, publicKey, { error: 'No commitment found for this bidder', code: ERROR_CODES.NO_COMMITMENT });
+        }
+
+        if (committed.revealed) {
+          return this.rejectBid(req, publicKey, { error: 'Bid already revealed', code: ERROR_CODES.CONFLICT });
+        }
+
+        // The commitment covers the amount as the bidder sent it
+        if (createCommitment(req.amount, req.nonce) !== committed.commitment) {
+          return this.rejectBid(req, publicKey, { error: 'Reveal does not match commitment', code: ERROR_CODES.COMMITMENT_MISMATCH });
+        }
+
+        let bidAmount;
+        try {
+          bidAmount = toMinorUnits(req.amount, auctionDetails.currency, 'Bid amount');
+        } catch (error) {
+          return this.rejectBid(req, publicKey, { error: error.message, code: ERROR_CODES.INVALID_REQUEST });
+        }
+
+        if (bidAmount < auctionDetails.startPrice) {
+          return this.rejectBid(req, publicKey, this.formatForClients(auctionDetails, { 
+            error: 'Bid is below the starting price',
+            code: ERROR_CODES.BID_TOO_LOW,
+            startPrice: auctionDetails.startPrice
+          }));
+        }
+
+        const bid = { 
+          bidder: req.bidder, 
+          bidderKey: publicKey,
+          amount: bidAmount, 
+          timestamp: now 
+        };
+        committed.revealed = true;
+        auctionDetails.bids.push(bid);
+
+        await this.eventLog.append(req.auctionId, 'bidRevealed', { bid, request: req });
+        await this.store.saveAuction(auctionDetails);
+        // Amounts stay private until the reveal window ends
+        await this.notifyClients('bidRevealed', { 
+          auctionId: req.auctionId, 
+          bidder: req.bidder
+        }, { seller: auctionDetails.seller });
+
+        return { 
+          success: true,
+          revealDeadline: auctionDetails.revealDeadline
+        };
+      });
+    });
+
+    // Operators, signing with one of the configured adminKeys, can see the
+    // limits and change them while the server runs. Changes last until the
+    // server restarts; the configuration holds the limits it starts with.
+    this.respond('getLimits', async (req) => {
+      const { publicKey, error: authError } = this.verifier.verify(req, 'getLimits');
+      if (authError) {
+        return { error: authError, code: ERROR_CODES.UNAUTHENTICATED };
+      }
+      if (!this.config.adminKeys.includes(publicKey)) {
+        return { error: 'Only the server\'s operators can see its limits', code: ERROR_CODES.FORBIDDEN };
+      }
+
+      return this.limitsView();
+    });
+
+    this.respond('setLimits', async (req) => {
+      const { publicKey, error: authError } = this.verifier.verify(req, 'setLimits');
+      if (authError) {
+        return { error: authError, code: ERROR_CODES.UNAUTHENTICATED };
+      }
+      if (!this.config.adminKeys.includes(publicKey)) {
+        return { error: 'Only the server\'s operators can change its limits', code: ERROR_CODES.FORBIDDEN };
+      }
+
+      const isSet = (value) => value !== undefined && value !== null;
+      if ([req.maxOpenAuctionsPerSeller, req.maxClients].some((cap) => isSet(cap) && cap < 0)) {
+        return { error: 'Caps must be 0 (no cap) or more', code: ERROR_CODES.INVALID_REQUEST };
+      }
+      // Nothing is changed unless every rate limit is valid
+      if (isSet(req.rateLimits)) {
+        try {
+          this.limiter.set(req.rateLimits);
+        } catch (error) {
+          return { error: error.message, code: ERROR_CODES.INVALID_REQUEST };
+        }
+      }
+      if (isSet(req.maxOpenAuctionsPerSeller)) this.config.maxOpenAuctionsPerSeller = req.maxOpenAuctionsPerSeller;
+      if (isSet(req.maxClients)) this.config.maxClients = req.maxClients;
+
+      this.logger.log(`Limits changed by ${publicKey}:`, JSON.stringify(stripSignature(req)));
+      return this.limitsView();
+    });
+  }
+
+  // Strips anything that would leak sealed bid amounts before the reveal
+  // window has ended, and formats the amounts for clients
+  publicAuctionView(auctionDetails) {
+    // The reserve itself is never shown, only whether the bids reached it.
+    // Bidders' maximum bids are never shown at all
+    const { reservePrice, maxBids, ...auction } = auctionDetails;
+    if (reservePrice) {
+      auction.hasReserve = true;
+      auction.reserveMet = reserveMet(auctionDetails);
+    }
+    // Dutch units go to the first takers, so what is left is known
+    if (auction.auctionType === 'dutch' && auction.quantity > 1 && auction.bids) {
+      auction.unitsLeft = auction.quantity - auction.bids.reduce((sum, bid) => sum + (bid.quantity || 1), 0);
+    }
+
+    if (auction.auctionType !== 'sealed' || auction.closed) {
+      return this.formatForClients(auction, auction);
+    }
+
+    const { commitments, bids, ...view } = auction;
+    return this.formatForClients(auction, {
+      ...view,
+      commitmentCount: Object.keys(commitments).length,
+      revealedCount: view.bidCount
     });
   }
 
-  calculateDutchPrice(startPrice, startTime, decrementRate, minimumPrice) {
-    const elapsedTime = (Date.now() - startTime) / 1000; // time in seconds
-    const currentPrice = startPrice - (decrementRate * elapsedTime);
-    return Math.max(currentPrice, minimumPrice);
+  // Amounts are kept in minor units (see lib/money.js). Everything sent to
+  // clients carries them as decimal strings, along with the currency.
+  formatForClients(auctionDetails, data) {
+    return { ...formatAmounts(data, auctionDetails.currency), currency: auctionDetails.currency };
   }
 
-  async notifyClients(type, data) {
+  // Validates the optional selling terms of an openAuction request against
+  // the ones its auction type takes. startPrice is in minor units already
+  parseSellingTerms(req, auctionType, startPrice, currency) {
+    const isSet = (field) => req[field] !== undefined && req[field] !== null && req[field] !== '';
+    const given = ['reservePrice', 'buyNowPrice', 'minIncrement', 'minDecrement'].filter(isSet);
+    if (given.length === 0) return { terms: {} };
+    const refused = given.filter((field) => !rulesOf({ auctionType }).sellingTerms.includes(field));
+    if (refused.length > 0) {
+      return { error: `${refused.join(', ')} cannot be set on ${auctionType} auctions` };
+    }
+
+    const terms = { reservePrice: undefined, buyNowPrice: undefined, minIncrement: undefined, minDecrement: undefined };
     try {
-        const clients = (await this.hbee.get(this.rpcServer.publicKey.toString('hex')))?.value?.clients || [];
-        const notifications = clients.map(async (clientKey) => {
-            try {
-                await this.rpc.request(
-                    Buffer.from(clientKey, 'hex'),
-                    type,
-                    Buffer.from(JSON.stringify(data), 'utf-8'),
-                    { timeout: 5000 }
-                );
-            } catch (error) {
-                console.error(`Failed to notify client ${clientKey}:`, error.message);
-            }
-        });
-        await Promise.all(notifications);
+      if (isSet('reservePrice')) {
+        terms.reservePrice = toMinorUnits(req.reservePrice, currency, 'Reserve price');
+        if (terms.reservePrice < startPrice) {
+          return { error: 'Reserve price must be at least the starting price' };
+        }
+      }
+
+      if (isSet('buyNowPrice')) {
+        terms.buyNowPrice = toMinorUnits(req.buyNowPrice, currency, 'Buy-it-now price');
+        if (terms.buyNowPrice <= startPrice || terms.buyNowPrice < (terms.reservePrice || 0)) {
+          return { error: 'Buy-it-now price must be above the starting price and at least the reserve' };
+        }
+      }
+
+      // Reverse auctions step down by the same kind of tiers
+      for (const field of ['minIncrement', 'minDecrement'].filter(isSet)) {
+        terms[field] = parseMinIncrement(req[field], currency);
+      }
     } catch (error) {
-        console.error('Error in notifyClients:', error);
+      return { error: error.message };
     }
+    return { terms };
   }
 
-  async startDutchAuctionTimer(auctionId) {
-    const updateInterval = 5000; // 5000ms = 5 seconds between updates
-    console.log(`\nStarting Dutch auction ${auctionId}`);
-    console.log('Price updates will be shown every 5 seconds...\n');
+  // Whether a maximum bid sent without an amount can be taken. Returns null
+  // when it can, otherwise the rejection to send back
+  checkMaxBid(auctionDetails, bidderKey, maxBid) {
+    const leader = leadingBid(auctionDetails);
+    if (leader && leader.bidderKey === bidderKey) {
+      return maxBid > leader.amount ? null : {
+        error: 'Maximum bid must be above your leading bid',
+        code: ERROR_CODES.BID_TOO_LOW,
+        currentHighestBid: leader.amount
+      };
+    }
 
-    const timer = setInterval(async () => {
-        try {
-            const auctionDetails = (await this.hbee.get(auctionId))?.value;
-            if (!auctionDetails || auctionDetails.closed) {
-                console.log(`Dutch auction ${auctionId} closed`);
-                clearInterval(timer);
-                return;
-            }
-
-            const currentPrice = this.calculateDutchPrice(
-                auctionDetails.startPrice,
-                auctionDetails.startTime,
-                auctionDetails.decrementRate,
-                auctionDetails.minimumPrice
-            );
-
-            // Check if minimum price reached
-            if (currentPrice <= auctionDetails.minimumPrice) {
-                auctionDetails.closed = true;
-                auctionDetails.currentPrice = auctionDetails.minimumPrice;
-                await this.hbee.put(auctionId, auctionDetails);
-                console.log(`\nAuction ${auctionId} reached minimum price of ${auctionDetails.minimumPrice}`);
-                await this.notifyClients('auctionClosed', { 
-                    auctionId, 
-                    reason: 'minimum_price_reached',
-                    finalPrice: auctionDetails.minimumPrice
-                });
-                clearInterval(timer);
-            } else {
-                // Update current price
-                auctionDetails.currentPrice = currentPrice;
-                await this.hbee.put(auctionId, auctionDetails);
-                console.log(`Auction ${auctionId} current price: ${currentPrice.toFixed(2)}`);
-                await this.notifyClients('priceUpdate', { 
-                    auctionId, 
-                    currentPrice 
-                });
-            }
-        } catch (error) {
-            console.error('Error in Dutch auction timer:', error);
-            clearInterval(timer);
-        }
-    }, updateInterval);
+    const minimumBid = minimumProxyBid(auctionDetails);
+    if (maxBid < minimumBid) {
+      return {
+        error: `Maximum bid must be at least ${formatAmount(minimumBid, auctionDetails.currency)}`,
+        code: ERROR_CODES.BID_TOO_LOW,
+        currentHighestBid: leader ? leader.amount : auctionDetails.startPrice,
+        startPrice: auctionDetails.startPrice,
+        minimumBid
+      };
+    }
+    return null;
+  }
+
+  // The listing view of an auction, without the bid list
+  auctionSummary(auctionDetails) {
+    const view = this.publicAuctionView(auctionDetails);
+    return {
+      auctionId: view.auctionId,
+      item: view.item,
+      auctionType: view.auctionType,
+      status: view.closed ? 'closed' : 'open',
+      seller: view.seller,
+      startPrice: view.startPrice,
+      currentPrice: view.currentPrice,
+      currency: view.currency,
+      quantity: view.quantity || 1,
+      startTime: view.startTime,
+      endTime: view.endTime || view.revealDeadline || null,
+      bidCount: view.commitmentCount !== undefined ? view.commitmentCount : view.bidCount,
+      buyNowPrice: view.buyNowPrice,
+      reserveMet: view.reserveMet,
+      winner: view.winner || null
+    };
+  }
+
+  // `request` is the seller's signed closeAuction request, when there is one
+  async finalizeAuction(auctionDetails, reason = 'closed', closedAt = Date.now(), request = null) {
+    this.scheduler.cancel(auctionDetails.auctionId);
+
+    // Mark auction as closed
+    auctionDetails.closed = true;
+    auctionDetails.closedAt = closedAt;
+    auctionDetails.closeReason = reason;
+
+    // Pick the winner and price with the auction's settlement rule
+    const { rule, outcome, winner, winningBid, clearingPrice, highestBid, allocations, unitsSold } = settle(auctionDetails);
+    auctionDetails.settlementRule = rule;
+    auctionDetails.outcome = outcome;
+    auctionDetails.allocations = allocations;
+    auctionDetails.unitsSold = unitsSold;
+    auctionDetails.winner = winner;
+    auctionDetails.winnerKey = winningBid ? winningBid.bidderKey : null;
+    auctionDetails.winningBid = winningBid;
+    auctionDetails.clearingPrice = clearingPrice;
+    auctionDetails.finalPrice = clearingPrice;
+    auctionDetails.highestBid = highestBid || { amount: 0, bidder: null, timestamp: null };
+
+    await this.eventLog.append(auctionDetails.auctionId, 'closed', {
+      reason,
+      closedAt,
+      closedBy: request ? request.publicKey : null,
+      request,
+      currentPrice: auctionDetails.currentPrice,
+      settlementRule: rule,
+      outcome,
+      winner,
+      winnerKey: auctionDetails.winnerKey,
+      winningBid,
+      clearingPrice,
+      allocations
+    });
+    
+    // Update auction details
+    await this.store.saveAuction(auctionDetails);
+
+    // Notify all clients about auction closure
+    await this.notifyClients('auctionClosed', this.formatForClients(auctionDetails, { 
+      auctionId: auctionDetails.auctionId, 
+      reason,
+      outcome,
+      winner,
+      winnerKey: auctionDetails.winnerKey,
+      clearingPrice,
+      settlementRule: rule,
+      highestBid: auctionDetails.highestBid,
+      winningBid,
+      auctionType: auctionDetails.auctionType,
+      finalPrice: clearingPrice,
+      allocations,
+      unitsSold,
+      quantity: auctionDetails.quantity,
+      closedAt
+    }), { seller: auctionDetails.seller });
+
+    return auctionDetails;
+  }
+
+  // Records a refused bid, commitment or reveal in the event log and returns
+  // the error response for it
+  async rejectBid(req, bidderKey, response) {
+    await this.eventLog.append(req.auctionId, 'bidRejected', {
+      bidder: req.bidder,
+      bidderKey,
+      amount: req.amount,
+      reason: response.error,
+      code: response.code,
+      request: req
+    });
+    return response;
+  }
+
+  // The price on the auction's schedule right now, see lib/price-schedule.js
+  calculateDutchPrice(auctionDetails, at = Date.now()) {
+    return dutchPriceAt(auctionDetails, at);
+  }
+
+  // What getLimits and setLimits answer with
+  limitsView() {
+    return {
+      rateLimits: { ...this.limiter.limits },
+      maxOpenAuctionsPerSeller: this.config.maxOpenAuctionsPerSeller,
+      maxClients: this.config.maxClients,
+      stats: this.limiter.stats()
+    };
+  }
+
+  // route.seller lets seller subscriptions match; route.bidderKey sends the
+  // event only to clients following that bidder
+  async notifyClients(type, data, route = {}) {
+    try {
+      await this.notifier.enqueue(type, data, route);
+    } catch (error) {
+      this.logger.error('Error in notifyClients:', error);
+    }
   }
 }
 
 const main = async () => {
-  const auctionServer = new AuctionServer();
+  const auctionServer = new AuctionServer(loadConfig('server'));
   await auctionServer.init();
 };
 
-main().catch(console.error);
+module.exports = {
+  AuctionServer,
+  AuctionClient,
+  ClientServer,
+  AUCTION_TYPES,
+  SETTLEMENT_RULES,
+  ERROR_CODES,
+  PROTOCOL_VERSION,
+  AuctionError,
+  ProtocolError,
+  RequestRejectedError,
+  ServerUnreachableError,
+  ValidationError
+};
+
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -0,0 +1,243 @@
+'use strict';
+
+// Bumped whenever the set of index keys changes; ensureIndexes() rebuilds
+const INDEX_VERSION = 3;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const pad = (value, width) => String(Math.max(0, Math.floor(value))).padStart(width, '0');
+const time = (ms) => pad(ms, 13);
+// Prices are in minor units, padded so that they sort as plain strings
+const price = (amount) => pad(amount, 15);
+const seq = (n) => pad(n, 8);
+
+const statusOf = (auction) => auction.closed ? 'closed' : 'open';
+
+const isAuctionId = (value) => typeof value === 'string' && /^[0-9a-f]{32}$/.test(value);
+
+// Every secondary index entry points back at the auction ID. Entries ordered
+// by creation time come back newest first; the price index cheapest first.
+const indexKeysOf = (auction) => {
+  const created = `${time(auction.startTime)}!${auction.auctionId}`;
+  const keys = [
+    `created!${created}`,
+    `status!${statusOf(auction)}!${created}`,
+    `type!${auction.auctionType}!${created}`,
+    `price!${statusOf(auction)}!${price(auction.currentPrice)}!${auction.auctionId}`
+  ];
+  if (auction.seller) {
+    keys.push(`seller!${auction.seller}!${created}`);
+    keys.push(`seller-status!${auction.seller}!${statusOf(auction)}!${created}`);
+  }
+  return keys;
+};
+
+const bidKeyOf = (auctionId, n) => `${auctionId}!${seq(n)}`;
+
+const encodeCursor = (key) => Buffer.from(key, 'utf-8').toString('base64url');
+const decodeCursor = (cursor) => Buffer.from(cursor, 'base64url').toString('utf-8');
+
+// A cursor that was not handed out for the query it came with. The handlers
+// send it back as an invalid request.
+class CursorError extends Error {}
+
+// Auction records live in their own namespace, next to secondary indexes that
+// let list and history queries use range reads instead of scanning every
+// auction. Bids are kept apart from the record, which only tracks bidCount, so
+// it stays the same size however busy the auction gets. All writes go through
+// saveAuction so the bids and indexes never drift from the records.
+class AuctionStore {
+  constructor(schema, { logger = console } = {}) {
+    this.schema = schema;
+    this.logger = logger;
+  }
+
+  // Records come back with their bids attached unless { withBids: false } is
+  // passed, which listings use to avoid reading every bid of every auction
+  async getAuction(auctionId, { withBids = true } = {}) {
+    if (!isAuctionId(auctionId)) return null;
+    const auction = (await this.schema.auctions.get(auctionId))?.value || null;
+    if (!auction || !withBids) return auction;
+
+    const bids = [];
+    for await (const { value } of this.schema.bids.createReadStream({ gt: `${auctionId}!`, lt: `${auctionId}!~` })) {
+      const { seq, ...bid } = value;
+      bids.push(bid);
+    }
+    return { ...auction, bids };
+  }
+
+  async saveAuction(auction) {
+    const previous = await this.getAuction(auction.auctionId, { withBids: false });
+    const oldKeys = previous ? indexKeysOf(previous) : [];
+    const newKeys = indexKeysOf(auction);
+
+    // Bids are append-only, so only the new tail needs writing. Records loaded
+    // without their bids keep the count they already had.
+    const storedBids = previous ? previous.bidCount : 0;
+    auction.bidCount = auction.bids ? auction.bids.length : storedBids;
+    const { bids = [], ...record } = auction;
+
+    const batch = this.schema.batch();
+    await batch.put(this.schema.auctions, auction.auctionId, record);
+    for (const key of oldKeys) {
+      if (!newKeys.includes(key)) await batch.del(this.schema.indexes, key);
+    }
+    for (const key of newKeys) {
+      if (!oldKeys.includes(key)) await batch.put(this.schema.indexes, key, auction.auctionId);
+    }
+    for (let i = storedBids; i < bids.length; i++) {
+      await batch.put(this.schema.bids, bidKeyOf(auction.auctionId, i + 1), { ...bids[i], seq: i + 1 });
+    }
+
+    await batch.flush();
+  }
+
+  // Counts one seller's auctions instead when `seller` is given
+  async countAuctions(status, { seller } = {}) {
+    const prefix = seller ? `seller-status!${seller}!${status}!` : `status!${status}!`;
+    let count = 0;
+    for await (const entry of this.schema.indexes.createReadStream({ gt: prefix, lt: `${prefix}~` })) {
+      count++;
+    }
+    return count;
+  }
+
+  async openAuctions() {
+    const auctionIds = [];
+    for await (const { value } of this.schema.indexes.createReadStream({ gt: 'status!open!', lt: 'status!open!~' })) {
+      auctionIds.push(value);
+    }
+    const auctions = await Promise.all(auctionIds.map((auctionId) => this.getAuction(auctionId, { withBids: false })));
+    return auctions.filter(Boolean);
+  }
+
+  // Picks the narrowest index the filters allow and applies the remaining
+  // filters to each record it points at. Filters: status, auctionType, seller,
+  // currency, minPrice, maxPrice (in minor units), createdAfter, createdBefore.
+  async listAuctions(filters = {}, { cursor, limit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const createdAfter = Number(filters.createdAfter) || 0;
+    const createdBefore = Number(filters.createdBefore) || 0;
+    const minPrice = filters.minPrice !== undefined ? Number(filters.minPrice) : null;
+    const maxPrice = filters.maxPrice !== undefined ? Number(filters.maxPrice) : null;
+
+    let prefix;
+    let range;
+    if (filters.seller) {
+      prefix = `seller!${filters.seller}!`;
+    } else if (filters.auctionType) {
+      prefix = `type!${filters.auctionType}!`;
+    } else if (filters.status && (minPrice !== null || maxPrice !== null)) {
+      prefix = `price!${filters.status}!`;
+      range = {
+        gte: prefix + (minPrice !== null ? price(minPrice) : ''),
+        lt: maxPrice !== null ? `${prefix}${price(maxPrice)}~` : `${prefix}~`
+      };
+    } else if (filters.status) {
+      prefix = `status!${filters.status}!`;
+    } else {
+      prefix = 'created!';
+    }
+
+    const byPrice = prefix.startsWith('price!');
+    if (!byPrice) {
+      range = {
+        gte: prefix + (createdAfter ? time(createdAfter) : ''),
+        lt: prefix + (createdBefore ? time(createdBefore) : '~'),
+        reverse: true
+      };
+    }
+
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      if (!after.startsWith(prefix)) throw new CursorError('Cursor does not belong to this query');
+      if (range.reverse) range.lt = after < range.lt ? after : range.lt;
+      else range.gte = after > range.gte ? `${after}\x00` : range.gte;
+    }
+
+    const matches = (auction) => {
+      if (filters.status && statusOf(auction) !== filters.status) return false;
+      if (filters.auctionType && auction.auctionType !== filters.auctionType) return false;
+      if (filters.seller && auction.seller !== filters.seller) return false;
+      if (filters.currency && auction.currency !== filters.currency) return false;
+      if (minPrice !== null && auction.currentPrice < minPrice) return false;
+      if (maxPrice !== null && auction.currentPrice > maxPrice) return false;
+      if (createdAfter && auction.startTime < createdAfter) return false;
+      if (createdBefore && auction.startTime >= createdBefore) return false;
+      return true;
+    };
+
+    // Index entries the filters turn down are skipped, so the scan goes on
+    // until the page is full, and one match past it shows there is a next page
+    const auctions = [];
+    let lastKey = null;
+    let hasMore = false;
+    for await (const { key, value } of this.schema.indexes.createReadStream(range)) {
+      const auction = await this.getAuction(value, { withBids: false });
+      if (!auction || !matches(auction)) continue;
+      if (auctions.length === pageSize) {
+        hasMore = true;
+        break;
+      }
+      auctions.push(auction);
+      lastKey = key;
+    }
+
+    return { auctions, nextCursor: hasMore ? encodeCursor(lastKey) : null };
+  }
+
+  // The cursor is the sequence number of the last bid of the previous page
+  async getBidHistory(auctionId, { cursor, limit, order } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const after = cursor !== undefined && cursor !== null && cursor !== '' ? Number(cursor) : null;
+    if (after !== null && !(Number.isInteger(after) && after >= 0)) {
+      throw new CursorError('Cursor must be the sequence number of a bid');
+    }
+    const prefix = `${auctionId}!`;
+    const range = order === 'desc'
+      ? { gt: prefix, lt: after !== null ? prefix + seq(after) : `${prefix}~`, reverse: true }
+      : { gt: after !== null ? prefix + seq(after) : prefix, lt: `${prefix}~` };
+
+    const bids = [];
+    let hasMore = false;
+    for await (const { value } of this.schema.bids.createReadStream(range)) {
+      if (bids.length === pageSize) {
+        hasMore = true;
+        break;
+      }
+      bids.push(value);
+    }
+
+    return { bids, nextCursor: hasMore ? bids[bids.length - 1].seq : null };
+  }
+
+  // Indexes auctions written before the indexes existed (or before the last
+  // index change, or a schema migration) by scanning the auction records once
+  async ensureIndexes() {
+    const version = (await this.schema.meta.get('indexVersion'))?.value;
+    if (version === INDEX_VERSION) return;
+
+    this.logger.log('Rebuilding auction indexes...');
+    const stale = [];
+    for await (const { key } of this.schema.indexes.createReadStream()) {
+      stale.push(key);
+    }
+    const auctions = [];
+    for await (const { value } of this.schema.auctions.createReadStream()) {
+      auctions.push(value);
+    }
+
+    const batch = this.schema.batch();
+    for (const key of stale) await batch.del(this.schema.indexes, key);
+    for (const auction of auctions) {
+      for (const key of indexKeysOf(auction)) await batch.put(this.schema.indexes, key, auction.auctionId);
+    }
+    await batch.put(this.schema.meta, 'indexVersion', INDEX_VERSION);
+    await batch.flush();
+    this.logger.log(`Indexed ${auctions.length} auction(s)`);
+  }
+}
+
+module.exports = { AuctionStore, CursorError, isAuctionId };
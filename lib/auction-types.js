@@ -0,0 +1,127 @@
+'use strict';
+
+const { bidToBeat, checkEnglishBid, checkReverseBid } = require('./bid-rules');
+const { dutchPriceAt } = require('./price-schedule');
+const { ERROR_CODES } = require('./protocol');
+const { allocateUnits, rankBids, settleAuction } = require('./settlement');
+
+// How each auction type takes bids and picks its winners. placeBid,
+// closeAuction and the audit only go through these rules, so a new type is
+// one more entry here:
+//
+// - bidOrder: 'highest' or 'lowest', which bids rank first and win
+// - takesBids: false when bids only come in through commit and reveal
+// - timed: whether openAuction takes a duration (with soft close)
+// - sellingTerms: the optional openAuction terms the type takes
+// - checkBid(auction, amount, at): null when a bid of `amount` per unit can
+//   be taken at time `at`, otherwise the rejection to send back ({ error,
+//   code }, see lib/protocol.js)
+// - recordedBid(auction, bid): the bid as it is stored
+// - priceAfterBid(auction, at): the current price once a bid is in
+// - closesAfterBid(auction, bid): whether the bid just taken ends the auction
+// - checkClose(auction, at): null when the seller may close it now
+
+const unitsTaken = (auction) => auction.bids.reduce((sum, bid) => sum + (bid.quantity || 1), 0);
+
+// Open-outcry types show the bid to beat as their price
+const outcryPrice = (order) => (auction) => {
+  const toBeat = bidToBeat(auction, order);
+  return toBeat ? toBeat.amount : auction.startPrice;
+};
+
+const AUCTION_TYPE_RULES = {
+  english: {
+    bidOrder: 'highest',
+    takesBids: true,
+    timed: true,
+    sellingTerms: ['reservePrice', 'buyNowPrice', 'minIncrement'],
+    checkBid: (auction, amount) => checkEnglishBid(auction, amount),
+    // Reaching the buy-it-now price buys at that price, not above it
+    recordedBid: (auction, bid) => (auction.buyNowPrice && bid.amount >= auction.buyNowPrice
+      ? { ...bid, amount: auction.buyNowPrice }
+      : bid),
+    priceAfterBid: outcryPrice('highest'),
+    closesAfterBid: (auction, bid) => Boolean(auction.buyNowPrice) && bid.amount >= auction.buyNowPrice,
+    checkClose: () => null
+  },
+
+  dutch: {
+    bidOrder: 'highest',
+    takesBids: true,
+    timed: false,
+    sellingTerms: [],
+    checkBid: (auction, amount, at) => {
+      const currentPrice = dutchPriceAt(auction, at);
+      return amount < currentPrice
+        ? { error: 'Bid must be equal to or higher than current price', code: ERROR_CODES.BID_TOO_LOW, currentPrice }
+        : null;
+    },
+    // Units go to the first takers, so a bid for more units than are left
+    // takes the rest
+    recordedBid: (auction, bid) => (bid.quantity
+      ? { ...bid, quantity: Math.min(bid.quantity, auction.quantity - unitsTaken(auction)) }
+      : bid),
+    // A single unit sells at the accepted bid; with more, the price keeps
+    // falling for the units that are left
+    priceAfterBid: (auction, at) => ((auction.quantity || 1) > 1
+      ? dutchPriceAt(auction, at)
+      : auction.bids[auction.bids.length - 1].amount),
+    closesAfterBid: (auction) => unitsTaken(auction) >= (auction.quantity || 1),
+    checkClose: () => null
+  },
+
+  sealed: {
+    bidOrder: 'highest',
+    takesBids: false,
+    timed: false,
+    sellingTerms: [],
+    checkBid: () => ({
+      error: 'Sealed auctions only accept bids through commitBid and revealBid',
+      code: ERROR_CODES.WRONG_AUCTION_TYPE
+    }),
+    recordedBid: (auction, bid) => bid,
+    priceAfterBid: (auction) => auction.currentPrice,
+    closesAfterBid: () => false,
+    // Sealed bids stay secret until every bidder had the chance to reveal
+    checkClose: (auction, at) => (at < auction.revealDeadline
+      ? { error: 'Reveal window is still open', code: ERROR_CODES.OUTSIDE_WINDOW, revealDeadline: auction.revealDeadline }
+      : null)
+  },
+
+  // Procurement: the starting price is the buyer's ceiling and suppliers
+  // compete downward, so the lowest offer wins
+  reverse: {
+    bidOrder: 'lowest',
+    takesBids: true,
+    timed: true,
+    sellingTerms: ['minDecrement'],
+    checkBid: (auction, amount) => checkReverseBid(auction, amount),
+    recordedBid: (auction, bid) => bid,
+    priceAfterBid: outcryPrice('lowest'),
+    closesAfterBid: () => false,
+    checkClose: () => null
+  }
+};
+
+const AUCTION_TYPES = Object.keys(AUCTION_TYPE_RULES);
+
+const rulesOf = (auction) => {
+  const rules = AUCTION_TYPE_RULES[auction.auctionType || 'english'];
+  if (!rules) throw new Error(`Unknown auction type: ${auction.auctionType}`);
+  return rules;
+};
+
+// Who holds which units right now, best bids first
+const allocateBids = (auction) => {
+  return allocateUnits(rankBids(auction.bids, rulesOf(auction).bidOrder), auction.quantity || 1);
+};
+
+const settle = (auction) => settleAuction(auction, { order: rulesOf(auction).bidOrder });
+
+module.exports = {
+  AUCTION_TYPES,
+  AUCTION_TYPE_RULES,
+  allocateBids,
+  rulesOf,
+  settle
+};
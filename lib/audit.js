@@ -0,0 +1,285 @@
+'use strict';
+
+const crypto = require('crypto');
+const { rulesOf, settle } = require('./auction-types');
+const { proxyBid } = require('./bid-rules');
+const { createCommitment } = require('./commitment');
+const { canonicalize, isSignedRequest, verifySignature } = require('./identity');
+const { DEFAULT_CURRENCY, legacyAmount, legacyToMinorUnits, toMinorUnits } = require('./money');
+const { floorReachedAt } = require('./price-schedule');
+
+// Every event of an auction is hashed over its canonical JSON, including the
+// hash of the auction's previous event, and that hash is signed with the log's
+// key. Changing, dropping or reordering any event breaks the chain.
+const hashEvent = ({ hash, signature, ...body }) => {
+  return crypto.createHash('sha256').update(canonicalize(body), 'utf-8').digest('hex');
+};
+
+// Events logged before amounts were kept in minor units hold plain numbers of
+// the default currency. They are converted the way lib/schema.js converted
+// the stored auctions, up to the amountsMigrated event that marks their end.
+const isLegacyStart = (event) => ['opened', 'imported'].includes(event.type) && !event.data.auction.currency;
+
+const inMinorUnits = (event) => {
+  const data = legacyToMinorUnits(event.data);
+  if (data.auction) data.auction = { ...data.auction, currency: DEFAULT_CURRENCY };
+  return { ...event, data };
+};
+
+// An amount of a signed request, in the minor units the event should hold
+const requestedAmount = (value, currency, legacy) => {
+  try {
+    return legacy ? legacyAmount(parseFloat(value)) : toMinorUnits(value, currency);
+  } catch (error) {
+    return NaN;
+  }
+};
+
+// Maximum bids are replayed into the same hidden ceilings the server keeps
+const setMaxBid = (auction, bidder, bidderKey, maxBid, setAt) => {
+  auction.maxBids = { ...auction.maxBids, [bidderKey]: { bidder, maxBid, setAt } };
+};
+
+// Rebuilds auction state from its events alone. Settlement is recomputed from
+// the replayed bids rather than copied from the close event.
+const applyEvent = (auction, event) => {
+  const { type, data } = event;
+
+  switch (type) {
+    case 'opened':
+      return { ...data.auction, bids: [] };
+    case 'imported':
+      return { ...data.auction, bids: [...data.bids] };
+    case 'bidAccepted':
+      auction.bids.push(data.bid);
+      auction.currentPrice = data.bid.amount;
+      if (data.maxBid !== undefined) setMaxBid(auction, data.bid.bidder, data.bid.bidderKey, data.maxBid, data.bid.timestamp);
+      return auction;
+    case 'maxBidSet':
+      setMaxBid(auction, data.bidder, data.bidderKey, data.maxBid, data.setAt);
+      return auction;
+    case 'autoBid':
+      auction.bids.push(data.bid);
+      auction.currentPrice = data.bid.amount;
+      return auction;
+    case 'extended':
+      auction.endTime = data.endTime;
+      return auction;
+    case 'priceTick':
+      auction.currentPrice = data.currentPrice;
+      return auction;
+    case 'bidCommitted':
+      auction.commitments[data.bidder] = data.commitment;
+      return auction;
+    case 'bidRevealed':
+      auction.commitments[data.bid.bidder].revealed = true;
+      auction.bids.push(data.bid);
+      return auction;
+    case 'bidRejected':
+    case 'amountsMigrated':
+      return auction;
+    case 'closed': {
+      auction.closed = true;
+      auction.closedAt = data.closedAt;
+      auction.closeReason = data.reason;
+      if (data.currentPrice !== undefined) auction.currentPrice = data.currentPrice;
+
+      const { rule, outcome, winner, winningBid, clearingPrice, highestBid, allocations, unitsSold } = settle(auction);
+      auction.settlementRule = rule;
+      auction.outcome = outcome;
+      auction.allocations = allocations;
+      auction.unitsSold = unitsSold;
+      auction.highestBid = highestBid;
+      auction.winner = winner;
+      auction.winnerKey = winningBid ? winningBid.bidderKey : null;
+      auction.winningBid = winningBid;
+      auction.clearingPrice = clearingPrice;
+      auction.finalPrice = clearingPrice;
+      return auction;
+    }
+    default:
+      throw new Error(`Unknown event type: ${type}`);
+  }
+};
+
+// Events are copied first so replaying never changes the events themselves
+const replayAuction = (events) => {
+  let auction = null;
+  let legacy = false;
+  for (const event of events) {
+    if (!auction && !['opened', 'imported'].includes(event.type)) {
+      throw new Error(`Event ${event.auctionSeq} comes before the auction was opened`);
+    }
+    if (isLegacyStart(event)) legacy = true;
+    auction = applyEvent(auction, structuredClone(legacy ? inMinorUnits(event) : event));
+    if (event.type === 'amountsMigrated') legacy = false;
+  }
+  return auction;
+};
+
+// When the auction closes by itself: Dutch auctions at their floor, sealed
+// ones when the reveal window ends, timed ones at their end time
+const scheduledEndOf = (auction) => {
+  switch (auction.auctionType || 'english') {
+    case 'dutch':
+      return floorReachedAt(auction);
+    case 'sealed':
+      return auction.revealDeadline;
+    default:
+      return auction.endTime || Infinity;
+  }
+};
+
+// Whether the last bid ended the auction, at buy-it-now or by taking the
+// last Dutch unit
+const closedByLastBid = (auction) => {
+  const lastBid = auction.bids[auction.bids.length - 1];
+  return Boolean(lastBid) && rulesOf(auction).closesAfterBid(auction, lastBid);
+};
+
+// Who has to have signed the request embedded in an event. Closes are the
+// seller's, as the auction so far names them
+const expectedSigner = (event, auction) => {
+  switch (event.type) {
+    case 'opened':
+      return event.data.auction.seller;
+    case 'bidAccepted':
+    case 'bidRevealed':
+      return event.data.bid.bidderKey;
+    case 'bidCommitted':
+      return event.data.commitment.bidderKey;
+    case 'maxBidSet':
+    case 'bidRejected':
+      return event.data.bidderKey;
+    case 'closed':
+      return auction ? auction.seller : null;
+    default:
+      return null;
+  }
+};
+
+// Checks an exported audit ({ auctionId, logKey, events }) without trusting
+// the server that produced it: the hash chain, the log's signature on every
+// event, the bidders' and seller's own signatures on the requests behind
+// them, sealed reveals against their commitments, and finally the winner and
+// price, recomputed by replaying the events.
+const verifyAudit = (audit) => {
+  const errors = [];
+  const events = audit.events || [];
+
+  let previousHash = null;
+  let auction = null;
+  let legacy = false;
+  for (const [i, event] of events.entries()) {
+    const label = `Event ${i + 1} (${event.type})`;
+
+    if (event.auctionId !== audit.auctionId) errors.push(`${label} belongs to another auction`);
+    if (event.auctionSeq !== i + 1) errors.push(`${label} is out of sequence`);
+    if (event.prevHash !== previousHash) errors.push(`${label} does not follow the previous event`);
+    if (hashEvent(event) !== event.hash) errors.push(`${label} does not match its hash`);
+    if (!verifySignature(Buffer.from(event.hash, 'hex'), event.signature || '', audit.logKey)) {
+      errors.push(`${label} is not signed by the log key`);
+    }
+    previousHash = event.hash;
+
+    const { request } = event.data;
+    if (request) {
+      if (!isSignedRequest(request)) {
+        errors.push(`${label} carries a request with an invalid signature`);
+      } else if (request.publicKey !== expectedSigner(event, auction)) {
+        errors.push(`${label} was requested by a different key`);
+      }
+    } else if (['opened', 'bidAccepted', 'maxBidSet', 'bidCommitted', 'bidRevealed'].includes(event.type)) {
+      errors.push(`${label} has no signed request`);
+    }
+
+    if (!auction && !['opened', 'imported'].includes(event.type)) {
+      errors.push(`${label} comes before the auction was opened`);
+      break;
+    }
+
+    // The remaining checks compare the event, in minor units, with the state
+    // just before it
+    if (isLegacyStart(event)) legacy = true;
+    const replayed = legacy ? inMinorUnits(event) : event;
+    const { data } = replayed;
+
+    if (event.type === 'bidRevealed') {
+      const committed = auction.commitments[data.bid.bidder];
+      // The commitment covers the amount as the bidder sent it
+      if (!committed || !request || createCommitment(request.amount, request.nonce) !== committed.commitment) {
+        errors.push(`${label} does not match the bidder's commitment`);
+      } else if (requestedAmount(request.amount, auction.currency, legacy) !== data.bid.amount) {
+        errors.push(`${label} records a different amount than the bidder revealed`);
+      }
+    }
+
+    // Each type's own bid rule, applied as of the bid's time, and the
+    // amount the bidder signed for, as the type records it (buy-it-now caps it)
+    if (event.type === 'bidAccepted') {
+      const rejection = rulesOf(auction).checkBid(auction, data.bid.amount, data.bid.timestamp);
+      if (rejection) errors.push(`${label} breaks the ${auction.auctionType} bidding rules: ${rejection.error}`);
+
+      const requested = request ? requestedAmount(request.amount, auction.currency, legacy) : NaN;
+      if (rulesOf(auction).recordedBid(auction, { amount: requested }).amount !== data.bid.amount) {
+        errors.push(`${label} records a different amount than the bidder bid`);
+      }
+    }
+
+    if (['bidAccepted', 'maxBidSet'].includes(event.type) && data.maxBid !== undefined &&
+      (!request || requestedAmount(request.maxBid, auction.currency, legacy) !== data.maxBid)) {
+      errors.push(`${label} records a different maximum bid than the bidder asked for`);
+    }
+
+    // Automatic bids have no request of their own; they have to be exactly
+    // the bid the replayed maximum bids call for
+    if (event.type === 'autoBid') {
+      const expected = proxyBid(auction);
+      if (!expected || expected.bidderKey !== data.bid.bidderKey || expected.amount !== data.bid.amount) {
+        errors.push(`${label} does not follow from the bidders' maximum bids`);
+      }
+    }
+
+    // The seller may close when the type allows it; otherwise an auction
+    // only ends at its scheduled end or with the bid that ended it
+    if (event.type === 'closed') {
+      if (request) {
+        const rejection = rulesOf(auction).checkClose(auction, event.timestamp);
+        if (rejection) errors.push(`${label} was closed by the seller too early: ${rejection.error}`);
+      } else if (!closedByLastBid(auction)) {
+        const scheduledEnd = scheduledEndOf(auction);
+        if (!(data.closedAt >= scheduledEnd && event.timestamp >= scheduledEnd)) {
+          errors.push(`${label} closes the auction before its scheduled end`);
+        }
+      }
+    }
+
+    try {
+      auction = applyEvent(auction, structuredClone(replayed));
+    } catch (error) {
+      errors.push(`${label} could not be replayed: ${error.message}`);
+      break;
+    }
+
+    if (event.type === 'closed' &&
+      (auction.winnerKey !== data.winnerKey || auction.clearingPrice !== data.clearingPrice)) {
+      errors.push(`${label} names a different winner or price than the replayed bids`);
+    }
+
+    // Closes logged before multi-unit auctions carry no allocations
+    if (event.type === 'closed' && data.allocations &&
+      canonicalize(auction.allocations) !== canonicalize(data.allocations)) {
+      errors.push(`${label} allocates units differently than the replayed bids`);
+    }
+
+    if (event.type === 'amountsMigrated') legacy = false;
+  }
+
+  return { valid: errors.length === 0, errors, auction };
+};
+
+module.exports = {
+  hashEvent,
+  replayAuction,
+  verifyAudit
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+const { decimalsOf, formatAmount, toMinorUnits } = require('./money');
+const { ERROR_CODES } = require('./protocol');
+const { allocateUnits, rankBids } = require('./settlement');
+
+// Rules an English bid has to pass, shared by the server when it accepts a bid
+// and by the audit verifier when it replays one.
+
+// Amounts are integer minor units (see lib/money.js), so only a percentage
+// increment needs rounding, to the nearest minor unit
+
+const parseIncrement = (value, source, currency) => {
+  const text = String(value).trim();
+  const percent = text.endsWith('%');
+  const number = percent ? Number(text.slice(0, -1)) : (/^[\d.]+$/.test(text) ? toMinorUnits(text, currency) : NaN);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`Invalid minimum increment "${source}": use an amount such as 5 or a percentage such as 2%`);
+  }
+  return percent ? { percent: number } : { amount: number };
+};
+
+// Accepts a single increment (5, "5" or "2%"), tiers as text
+// ("0:1,100:5,1000:2%": from a price of 100 up, bids rise by at least 5), or
+// tiers as [{ from, amount }] / [{ from, percent }], with amounts in the
+// major unit of `currency`. Returns the tiers in minor units, sorted by their
+// starting price, the first one starting at 0.
+const parseMinIncrement = (value, currency) => {
+  const parseFrom = (from, source) => {
+    try {
+      return toMinorUnits(from, currency);
+    } catch (error) {
+      throw new Error(`Invalid increment tier "${source}": use <from price>:<increment>`);
+    }
+  };
+
+  let tiers;
+  if (Array.isArray(value)) {
+    tiers = value.map((tier) => ({
+      from: tier.from ? parseFrom(tier.from, JSON.stringify(tier)) : 0,
+      ...parseIncrement(tier.percent !== undefined ? `${tier.percent}%` : tier.amount, JSON.stringify(tier), currency)
+    }));
+  } else if (typeof value === 'string' && value.includes(':')) {
+    tiers = value.split(',').map((entry) => {
+      const [from, increment] = entry.split(':');
+      if (increment === undefined) {
+        throw new Error(`Invalid increment tier "${entry}": use <from price>:<increment>`);
+      }
+      return { from: parseFrom(from, entry), ...parseIncrement(increment, entry, currency) };
+    });
+  } else {
+    tiers = [{ from: 0, ...parseIncrement(value, value, currency) }];
+  }
+
+  tiers.sort((a, b) => a.from - b.from);
+  if (tiers[0].from !== 0) tiers.unshift({ from: 0, amount: 0 });
+  return tiers;
+};
+
+// The smallest raise allowed over a leading price
+const incrementAt = (tiers, price) => {
+  let tier = tiers[0];
+  for (const candidate of tiers) {
+    if (candidate.from <= price) tier = candidate;
+  }
+  return tier.percent !== undefined ? Math.round(price * tier.percent / 100) : tier.amount;
+};
+
+const leadingBid = (auction) => {
+  return auction.bids.length > 0
+    ? auction.bids.reduce((max, bid) => bid.amount > max.amount ? bid : max)
+    : null;
+};
+
+// The bid a new bid has to beat: the leader, or with several units the
+// weakest bid still winning one once every unit is claimed. Null while the
+// starting price is what counts. `order` is 'lowest' where the lowest offer wins.
+const bidToBeat = (auction, order = 'highest') => {
+  const quantity = auction.quantity || 1;
+  const allocations = allocateUnits(rankBids(auction.bids, order), quantity);
+  const claimed = allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+  return claimed < quantity ? null : allocations[allocations.length - 1].bid;
+};
+
+// Whether `amount` can be bid on an English auction right now. Returns null
+// when it can, otherwise the rejection to send back. The first bid has to beat
+// the starting price the same way later bids beat the leader, and a bid at or
+// above the buy-it-now price is always accepted.
+const checkEnglishBid = (auction, amount) => {
+  if (auction.buyNowPrice && amount >= auction.buyNowPrice) return null;
+
+  const leader = bidToBeat(auction);
+  const leading = leader ? leader.amount : auction.startPrice;
+  const increment = auction.minIncrement ? incrementAt(auction.minIncrement, leading) : 0;
+  const beaten = (auction.quantity || 1) > 1 ? 'lowest winning bid' : 'current highest bid';
+
+  if (increment > 0 ? amount < leading + increment : amount <= leading) {
+    return {
+      error: `Bid must be ${increment > 0 ? `at least ${formatAmount(leading + increment, auction.currency)}` : `higher than ${leader ? beaten : 'starting price'}`}`,
+      code: ERROR_CODES.BID_TOO_LOW,
+      currentHighestBid: leading,
+      startPrice: auction.startPrice,
+      minimumBid: increment > 0 ? leading + increment : undefined
+    };
+  }
+  return null;
+};
+
+// Reverse auctions run the other way: each offer has to come in below the
+// best one (or the buyer's ceiling, the starting price) by the minimum
+// decrement
+const checkReverseBid = (auction, amount) => {
+  const best = bidToBeat(auction, 'lowest');
+  const standing = best ? best.amount : auction.startPrice;
+  const decrement = auction.minDecrement ? incrementAt(auction.minDecrement, standing) : 0;
+  const beaten = (auction.quantity || 1) > 1 ? 'highest winning offer' : 'current best offer';
+
+  if (decrement > 0 ? amount > standing - decrement : amount >= standing) {
+    return {
+      error: `Offer must be ${decrement > 0 ? `at most ${formatAmount(standing - decrement, auction.currency)}` : `lower than ${best ? beaten : 'the buyer\'s ceiling'}`}`,
+      code: ERROR_CODES.OFFER_TOO_HIGH,
+      currentBestOffer: standing,
+      startPrice: auction.startPrice,
+      maximumOffer: decrement > 0 ? standing - decrement : undefined
+    };
+  }
+  return null;
+};
+
+// Proxy bids raise by the minimum increment, or by one whole unit of the
+// currency where there is none
+const proxyStep = (auction, price) => {
+  return (auction.minIncrement && incrementAt(auction.minIncrement, price)) || 10 ** decimalsOf(auction.currency);
+};
+
+// The lowest bid a proxy would place against the leader (or starting price)
+const minimumProxyBid = (auction) => {
+  const leader = leadingBid(auction);
+  const leading = leader ? leader.amount : auction.startPrice;
+  return leading + proxyStep(auction, leading);
+};
+
+// Ceilings are kept per bidder key in `auction.maxBids` as
+// { bidder, maxBid, setAt }. After any bid, the highest ceiling leads (the
+// earlier one on a tie) at one step above the next highest ceiling or the
+// leading bid, never above its own ceiling. Returns the automatic bid that
+// gets it there, or null when the leader already holds off every ceiling.
+// Deterministic, so the audit can replay it.
+const proxyBid = (auction) => {
+  if (!auction.maxBids) return null;
+
+  const leader = leadingBid(auction);
+  const minimumBid = minimumProxyBid(auction);
+  const contenders = Object.entries(auction.maxBids)
+    .filter(([bidderKey, { maxBid }]) => (!leader || bidderKey !== leader.bidderKey) && maxBid >= minimumBid)
+    .map(([bidderKey, ceiling]) => ({ bidderKey, ...ceiling }));
+  if (contenders.length === 0) return null;
+
+  if (leader) {
+    const leaderCeiling = auction.maxBids[leader.bidderKey];
+    contenders.push({
+      bidderKey: leader.bidderKey,
+      bidder: leaderCeiling ? leaderCeiling.bidder : leader.bidder,
+      maxBid: Math.max(leader.amount, leaderCeiling ? leaderCeiling.maxBid : 0),
+      setAt: leaderCeiling ? Math.min(leaderCeiling.setAt, leader.timestamp) : leader.timestamp
+    });
+  }
+  contenders.sort((a, b) => b.maxBid - a.maxBid || a.setAt - b.setAt);
+  const [winner, runnerUp] = contenders;
+
+  let amount = runnerUp
+    ? Math.min(winner.maxBid, Math.max(minimumBid, runnerUp.maxBid + proxyStep(auction, runnerUp.maxBid)))
+    : minimumBid;
+  if (auction.buyNowPrice && amount >= auction.buyNowPrice) amount = auction.buyNowPrice;
+  if (leader && winner.bidderKey === leader.bidderKey && amount <= leader.amount) return null;
+
+  return { bidder: winner.bidder, bidderKey: winner.bidderKey, amount, automatic: true };
+};
+
+// Hidden reserve: bidders only learn whether the leading bid reaches it
+const reserveMet = (auction) => {
+  if (!auction.reservePrice) return true;
+  // Listings load records without their bids; English prices follow the leader
+  if (!auction.bids) return auction.bidCount > 0 && auction.currentPrice >= auction.reservePrice;
+  const leader = leadingBid(auction);
+  return Boolean(leader) && leader.amount >= auction.reservePrice;
+};
+
+module.exports = {
+  bidToBeat,
+  checkEnglishBid,
+  checkReverseBid,
+  incrementAt,
+  leadingBid,
+  minimumProxyBid,
+  parseMinIncrement,
+  proxyBid,
+  reserveMet
+};
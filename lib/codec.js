@@ -0,0 +1,279 @@
+'use strict';
+
+const c = require('compact-encoding');
+
+// How RPC payloads and notifications go over the wire. Every message is one
+// of two codecs:
+// - 'json': UTF-8 JSON text, what every client and server understands
+// - 'binary': a compact encoding of the same values. Field names come from a
+//   fixed dictionary, hex keys and IDs travel as raw bytes, decimal amounts
+//   and timestamps as varints.
+// A binary message starts with a zero byte, which JSON text never does, so a
+// receiver can read either without being told which one it got. Which codec
+// a sender uses is settled in serverReady and registerClient (see
+// lib/protocol.js); JSON is the fallback whenever the other side does not
+// offer binary.
+
+// Preferred first
+const CODECS = ['binary', 'json'];
+
+const BINARY_MARKER = 0x00;
+// Bumped whenever the binary layout or KEYS changes incompatibly
+const BINARY_VERSION = 1;
+
+// Field names sent as their index. Append only: an entry's position is its
+// code on the wire.
+const KEYS = [
+  'auctionId', 'auction', 'item', 'auctionType', 'settlementRule', 'status', 'seller', 'startPrice',
+  'currentPrice', 'currency', 'quantity', 'startTime', 'endTime', 'bidCount', 'buyNowPrice', 'reserveMet',
+  'reservePrice', 'winner', 'winnerKey', 'winningBid', 'bid', 'bids', 'bidder', 'bidderKey',
+  'amount', 'timestamp', 'automatic', 'seq', 'maxBid', 'closed', 'closedAt', 'closeReason',
+  'outcome', 'clearingPrice', 'finalPrice', 'highestBid', 'allocations', 'unitsSold', 'unitsLeft', 'price',
+  'reason', 'yourBid', 'previousEndTime', 'commitments', 'commitmentCount', 'revealedCount', 'commitDeadline', 'revealDeadline',
+  'decrementRate', 'priceSchedule', 'minimumPrice', 'updateInterval', 'minIncrement', 'minDecrement', 'softCloseWindow', 'softCloseExtension',
+  'type', 'rate', 'drop', 'every', 'percent', 'points', 'at', 'success',
+  'leading', 'error', 'code', 'protocolVersion', 'minProtocolVersion', 'codec', 'codecs', 'latestSeq',
+  'notifications', 'truncated', 'data', 'since', 'clientKey', 'subscriptions', 'auctionIds', 'sellers',
+  'bidders', 'newAuctions', 'all', 'serverPublicKey', 'method', 'publicKey', 'signedAt', 'requestNonce',
+  'signature', 'nonce', 'commitment', 'nextCursor', 'cursor', 'limit', 'order', 'events',
+  'logKey', 'received', 'alive', 'lastSeq', 'serverId', 'name', 'marketplace', 'uptime',
+  'openAuctions', 'winningUnits', 'minimumBid', 'currentHighestBid', 'currentBestOffer', 'maximumOffer', 'from', 'duration'
+];
+const KEY_CODES = new Map(KEYS.map((key, i) => [key, i + 1])); // 0 means the name follows as a string
+
+// Value tags
+const NULL = 0;
+const FALSE = 1;
+const TRUE = 2;
+const UINT = 3;
+const NEGATIVE_INT = 4;
+const FLOAT = 5;
+const STRING = 6;
+const HEX = 7;
+const DECIMAL = 8;
+const ARRAY = 9;
+const OBJECT = 10;
+
+// Lowercase hex of a whole number of bytes, e.g. keys, auction IDs, hashes
+const isHex = (value) => value.length >= 16 && value.length % 2 === 0 && /^[0-9a-f]+$/.test(value);
+
+// Amounts as the server formats them ("947.35", "12000"). Leading zeros in
+// the whole part would not survive the trip, so those stay strings.
+const decimalOf = (value) => {
+  const match = /^(0|[1-9]\d*)(?:\.(\d+))?$/.exec(value);
+  if (!match) return null;
+  const decimals = (match[2] || '').length;
+  const digits = Number(match[1] + (match[2] || ''));
+  return Number.isSafeInteger(digits) ? { decimals, digits } : null;
+};
+
+// Like JSON, non-finite numbers come out as null
+const tagOf = (value) => {
+  if (value === null || value === undefined) return NULL;
+  if (value === false) return FALSE;
+  if (value === true) return TRUE;
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) return value >= 0 ? UINT : NEGATIVE_INT;
+    return FLOAT;
+  }
+  if (typeof value === 'string') {
+    if (isHex(value)) return HEX;
+    return decimalOf(value) ? DECIMAL : STRING;
+  }
+  if (Array.isArray(value)) return ARRAY;
+  if (typeof value === 'object') return OBJECT;
+  throw new TypeError(`Cannot encode a value of type ${typeof value}`);
+};
+
+// Like JSON, undefined fields are left out
+const entriesOf = (object) => Object.entries(object).filter(([, field]) => field !== undefined);
+
+const key = {
+  preencode(state, name) {
+    const code = KEY_CODES.get(name) || 0;
+    c.uint.preencode(state, code);
+    if (code === 0) c.string.preencode(state, name);
+  },
+  encode(state, name) {
+    const code = KEY_CODES.get(name) || 0;
+    c.uint.encode(state, code);
+    if (code === 0) c.string.encode(state, name);
+  },
+  decode(state) {
+    const code = c.uint.decode(state);
+    if (code === 0) return c.string.decode(state);
+    if (code > KEYS.length) throw new Error(`Unknown field code: ${code}`);
+    return KEYS[code - 1];
+  }
+};
+
+const value = {
+  preencode(state, v) {
+    const tag = tagOf(v);
+    c.uint.preencode(state, tag);
+    switch (tag) {
+      case UINT:
+        return c.uint.preencode(state, v);
+      case NEGATIVE_INT:
+        return c.uint.preencode(state, -v);
+      case FLOAT:
+        return c.float64.preencode(state, v);
+      case STRING:
+        return c.string.preencode(state, v);
+      case HEX:
+        c.uint.preencode(state, v.length / 2);
+        state.end += v.length / 2;
+        return;
+      case DECIMAL: {
+        const { decimals, digits } = decimalOf(v);
+        c.uint.preencode(state, decimals);
+        return c.uint.preencode(state, digits);
+      }
+      case ARRAY:
+        c.uint.preencode(state, v.length);
+        for (const item of v) value.preencode(state, item);
+        return;
+      case OBJECT: {
+        const entries = entriesOf(v);
+        c.uint.preencode(state, entries.length);
+        for (const [name, field] of entries) {
+          key.preencode(state, name);
+          value.preencode(state, field);
+        }
+      }
+    }
+  },
+  encode(state, v) {
+    const tag = tagOf(v);
+    c.uint.encode(state, tag);
+    switch (tag) {
+      case UINT:
+        return c.uint.encode(state, v);
+      case NEGATIVE_INT:
+        return c.uint.encode(state, -v);
+      case FLOAT:
+        return c.float64.encode(state, v);
+      case STRING:
+        return c.string.encode(state, v);
+      case HEX:
+        c.uint.encode(state, v.length / 2);
+        state.start += state.buffer.write(v, state.start, 'hex');
+        return;
+      case DECIMAL: {
+        const { decimals, digits } = decimalOf(v);
+        c.uint.encode(state, decimals);
+        return c.uint.encode(state, digits);
+      }
+      case ARRAY:
+        c.uint.encode(state, v.length);
+        for (const item of v) value.encode(state, item);
+        return;
+      case OBJECT: {
+        const entries = entriesOf(v);
+        c.uint.encode(state, entries.length);
+        for (const [name, field] of entries) {
+          key.encode(state, name);
+          value.encode(state, field);
+        }
+      }
+    }
+  },
+  decode(state) {
+    const tag = c.uint.decode(state);
+    switch (tag) {
+      case NULL:
+        return null;
+      case FALSE:
+        return false;
+      case TRUE:
+        return true;
+      case UINT:
+        return c.uint.decode(state);
+      case NEGATIVE_INT:
+        return -c.uint.decode(state);
+      case FLOAT: {
+        const number = c.float64.decode(state);
+        return Number.isFinite(number) ? number : null;
+      }
+      case STRING:
+        return c.string.decode(state);
+      case HEX:
+        return c.buffer.decode(state).toString('hex');
+      case DECIMAL: {
+        const decimals = c.uint.decode(state);
+        const digits = String(c.uint.decode(state)).padStart(decimals + 1, '0');
+        return decimals > 0 ? `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}` : digits;
+      }
+      case ARRAY: {
+        const items = [];
+        for (let length = c.uint.decode(state); length > 0; length--) items.push(value.decode(state));
+        return items;
+      }
+      case OBJECT: {
+        const object = {};
+        for (let length = c.uint.decode(state); length > 0; length--) {
+          // An own field, as JSON.parse would make it, never the prototype
+          Object.defineProperty(object, key.decode(state), {
+            value: value.decode(state), enumerable: true, writable: true, configurable: true
+          });
+        }
+        return object;
+      }
+      default:
+        throw new Error(`Unknown value tag: ${tag}`);
+    }
+  }
+};
+
+const message = {
+  preencode(state, v) {
+    c.uint8.preencode(state, BINARY_MARKER);
+    c.uint8.preencode(state, BINARY_VERSION);
+    value.preencode(state, v);
+  },
+  encode(state, v) {
+    c.uint8.encode(state, BINARY_MARKER);
+    c.uint8.encode(state, BINARY_VERSION);
+    value.encode(state, v);
+  },
+  decode(state) {
+    c.uint8.decode(state);
+    const version = c.uint8.decode(state);
+    if (version !== BINARY_VERSION) throw new Error(`Unsupported binary message version: ${version}`);
+    return value.decode(state);
+  }
+};
+
+const isCodec = (codec) => CODECS.includes(codec);
+
+// The codec a received message is in
+const codecOf = (buffer) => (buffer.length > 0 && buffer[0] === BINARY_MARKER ? 'binary' : 'json');
+
+// The first codec in `offered` (the other side's, preferred first) that we
+// speak, or JSON
+const chooseCodec = (offered) => (Array.isArray(offered) && offered.find(isCodec)) || 'json';
+
+const encodeMessage = (codec, payload) => {
+  if (codec === 'binary') return Buffer.from(c.encode(message, payload));
+  return Buffer.from(JSON.stringify(payload), 'utf-8');
+};
+
+// Reads a message in either codec. Throws on anything that is neither.
+const decodeMessage = (buffer) => {
+  if (codecOf(buffer) === 'binary') {
+    const state = c.state(0, buffer.length, buffer);
+    const payload = message.decode(state);
+    if (state.start !== state.end) throw new Error('Unexpected bytes after the message');
+    return payload;
+  }
+  return JSON.parse(buffer.toString('utf-8'));
+};
+
+module.exports = {
+  CODECS,
+  chooseCodec,
+  codecOf,
+  decodeMessage,
+  encodeMessage,
+  isCodec
+};
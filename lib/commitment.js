@@ -0,0 +1,19 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Sealed-bid commitments are sha256("<amount>:<nonce>") in hex. Both the
+// client (when committing) and the server (when checking a reveal) go through
+// here so the amount is always normalised the same way.
+const createCommitment = (amount, nonce) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${parseFloat(amount)}:${nonce}`, 'utf-8')
+    .digest('hex');
+};
+
+const createNonce = () => crypto.randomBytes(16).toString('hex');
+
+const isCommitment = (value) => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+
+module.exports = { createCommitment, createNonce, isCommitment };
@@ -0,0 +1,175 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseRateLimits } = require('./rate-limit');
+
+const DEFAULT_CONFIG_FILE = 'auction.config.json';
+
+// Settings shared by every program sit at the top level; each program's own
+// section overrides them. Timeouts are in milliseconds.
+const DEFAULTS = {
+  bootstrap: ['127.0.0.1:30001'],
+  marketplace: 'default', // DHT topic servers announce on and clients look up
+  requestTimeout: 5000,
+  server: {
+    name: 'Auction server',
+    port: 40001,
+    storage: './db/rpc-server',
+    eventLog: './db/event-log',
+    heartbeatInterval: 30 * 1000,
+    deadClientTimeout: 10 * 60 * 1000,
+    rateLimits: {}, // per peer and method, over the defaults of lib/rate-limit.js
+    maxOpenAuctionsPerSeller: 100, // 0 for no cap
+    maxClients: 10000, // registered for notifications; 0 for no cap
+    adminKeys: [] // identity keys allowed to see and change the limits while running
+  },
+  clientServer: {
+    port: 40002,
+    storage: './db/rpc-client-server'
+  },
+  client: {
+    port: 40003,
+    storage: './db/rpc-client'
+  }
+};
+
+// Every option can also be set through AUCTION_<NAME> or --<name>, e.g.
+// requestTimeout as AUCTION_REQUEST_TIMEOUT or --request-timeout
+const OPTION_TYPES = {
+  bootstrap: 'list',
+  marketplace: 'string',
+  name: 'string',
+  port: 'number',
+  storage: 'string',
+  eventLog: 'string',
+  requestTimeout: 'number',
+  heartbeatInterval: 'number',
+  deadClientTimeout: 'number',
+  rateLimits: 'limits',
+  maxOpenAuctionsPerSeller: 'number',
+  maxClients: 'number',
+  adminKeys: 'list',
+  serverKey: 'string' // auction server the clients talk to, instead of discovering one
+};
+
+const envNameOf = (option) => `AUCTION_${option.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`;
+const flagNameOf = (option) => `--${option.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+const parseValue = (option, value, source) => {
+  const type = OPTION_TYPES[option];
+  if (type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`${source}: ${option} must be a non-negative number`);
+    }
+    return number;
+  }
+  if (type === 'limits') {
+    try {
+      return parseRateLimits(value);
+    } catch (error) {
+      throw new Error(`${source}: ${error.message}`);
+    }
+  }
+  if (type === 'list') {
+    return Array.isArray(value) ? value : String(value).split(',').map((entry) => entry.trim()).filter(Boolean);
+  }
+  return String(value);
+};
+
+// Entries are host:port strings, or { host, port } objects passed through
+const parseBootstrap = (entries) => entries.map((entry) => {
+  if (typeof entry === 'object') return entry;
+  const [host, port] = entry.split(':');
+  if (!host || !/^\d+$/.test(port || '')) {
+    throw new Error(`Bootstrap node must be host:port, got "${entry}"`);
+  }
+  return { host, port: parseInt(port, 10) };
+});
+
+// Splits argv into known --option flags and positional arguments.
+// --config <file> picks the config file.
+const parseArgs = (argv) => {
+  const flags = {};
+  const positional = [];
+  const byFlag = Object.fromEntries(Object.keys(OPTION_TYPES).map((option) => [flagNameOf(option), option]));
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (flag === '--config' || byFlag[flag]) {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new Error(`Missing value for ${flag}`);
+      flags[flag === '--config' ? 'config' : byFlag[flag]] = value;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { flags, positional };
+};
+
+const readConfigFile = (file, required) => {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file not found: ${file}`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${file}: ${error.message}`);
+  }
+};
+
+const pickOptions = (values, source) => {
+  const picked = {};
+  for (const option of Object.keys(OPTION_TYPES)) {
+    if (values[option] !== undefined) picked[option] = parseValue(option, values[option], source);
+  }
+  return picked;
+};
+
+// Resolves the settings of one program ('server', 'clientServer' or 'client')
+// from, in increasing order of precedence: built-in defaults, the config file
+// (--config, AUCTION_CONFIG or ./auction.config.json), AUCTION_* environment
+// variables and command-line flags. Anything that is not a flag is returned
+// in `args`.
+const loadConfig = (program, argv = process.argv.slice(2), env = process.env) => {
+  checkProgram(program);
+
+  const { flags, positional } = parseArgs(argv);
+  const configFile = flags.config || env.AUCTION_CONFIG;
+  const file = readConfigFile(path.resolve(configFile || DEFAULT_CONFIG_FILE), Boolean(configFile));
+
+  const fromEnv = {};
+  for (const option of Object.keys(OPTION_TYPES)) {
+    if (env[envNameOf(option)] !== undefined) fromEnv[option] = env[envNameOf(option)];
+  }
+
+  const config = resolveConfig(program, {
+    ...pickOptions(file, configFile || DEFAULT_CONFIG_FILE),
+    ...pickOptions(file[program] || {}, configFile || DEFAULT_CONFIG_FILE),
+    ...pickOptions(fromEnv, 'environment'),
+    ...pickOptions(flags, 'command line')
+  });
+
+  return { ...config, args: positional };
+};
+
+const checkProgram = (program) => {
+  if (!DEFAULTS[program]) throw new Error(`Unknown program: ${program}`);
+};
+
+// Fills in the defaults of one program under options passed in code, which is
+// how the classes take their constructor options. Nothing is read from the
+// file, environment or command line here.
+const resolveConfig = (program, options = {}) => {
+  checkProgram(program);
+  const config = {
+    ...pickOptions(DEFAULTS, 'defaults'),
+    ...DEFAULTS[program],
+    ...pickOptions(options, 'options')
+  };
+  return { ...config, bootstrap: parseBootstrap(config.bootstrap) };
+};
+
+module.exports = { loadConfig, resolveConfig, DEFAULTS };
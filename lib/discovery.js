@@ -0,0 +1,70 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PROTOCOL_VERSION } = require('./protocol');
+const { sendRequest } = require('./request');
+
+// DHT announcements expire after a while, so servers repeat them this often
+const ANNOUNCE_INTERVAL = 5 * 60 * 1000;
+
+const topicOf = (marketplace) => {
+  return crypto.createHash('sha256').update(`p2p-auction/marketplace/${marketplace}`, 'utf-8').digest();
+};
+
+// Keeps an auction server announced on its marketplace topic, under the same
+// key pair its RPC server listens on, so whatever a lookup finds can be
+// dialled directly
+class ServerAnnouncer {
+  constructor(dht, keyPair, marketplace, { logger = console } = {}) {
+    this.dht = dht;
+    this.logger = logger;
+    this.keyPair = keyPair;
+    this.marketplace = marketplace;
+    this.topic = topicOf(marketplace);
+  }
+
+  async start() {
+    await this.announce();
+    this.timer = setInterval(() => this.announce(), ANNOUNCE_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  async announce() {
+    try {
+      await this.dht.announce(this.topic, this.keyPair).finished();
+      this.logger.log(`Announced on marketplace "${this.marketplace}"`);
+    } catch (error) {
+      this.logger.error('Error announcing server:', error.message);
+    }
+  }
+}
+
+// Looks up the servers announced on a marketplace and asks each one for its
+// serverReady details. Servers that no longer answer, or do not speak this
+// client's protocol version, are left out.
+const discoverServers = async (dht, rpc, marketplace, { timeout = 5000 } = {}) => {
+  const keys = new Set();
+  for await (const { peers } of dht.lookup(topicOf(marketplace))) {
+    for (const peer of peers) keys.add(peer.publicKey.toString('hex'));
+  }
+
+  const servers = await Promise.all([...keys].map(async (publicKey) => {
+    try {
+      const resp = await sendRequest(rpc, Buffer.from(publicKey, 'hex'), 'serverReady', { protocolVersion: PROTOCOL_VERSION }, { timeout });
+      return { ...resp, publicKey };
+    } catch (error) {
+      return null;
+    }
+  }));
+
+  return servers.filter(Boolean).sort((a, b) => (b.openAuctions || 0) - (a.openAuctions || 0));
+};
+
+module.exports = {
+  ServerAnnouncer,
+  discoverServers,
+  topicOf
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+// Errors thrown by the client-side API. Every one of them is an AuctionError,
+// so callers can tell auction failures apart from programming errors and then
+// narrow down on the subclass.
+class AuctionError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+// Input that was refused before anything was sent to a server
+class ValidationError extends AuctionError {}
+
+// The server answered but turned the request down. `code` says why (one of
+// ERROR_CODES in lib/protocol.js), and the whole response, including extra
+// fields such as the current price, is on `response`.
+class RequestRejectedError extends AuctionError {
+  constructor(response) {
+    super(response.error);
+    this.code = response.code;
+    this.response = response;
+  }
+}
+
+// The server speaks a protocol version this client does not, or answered
+// with something that does not fit the method's response schema
+class ProtocolError extends AuctionError {}
+
+// No answer from the server: not found on the DHT, connection lost or timed out
+class ServerUnreachableError extends AuctionError {}
+
+module.exports = {
+  AuctionError,
+  ProtocolError,
+  RequestRejectedError,
+  ServerUnreachableError,
+  ValidationError
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+const { hashEvent } = require('./audit');
+const { identityFromSeed, sign } = require('./identity');
+const { KeyedLock } = require('./locks');
+
+const eventKeyOf = (auctionId, auctionSeq) => `${auctionId}!${String(auctionSeq).padStart(8, '0')}`;
+
+// Append-only record of every auction state change, kept in its own Hypercore
+// next to the Hyperbee. Each event is chained to the previous event of the
+// same auction and signed with the core's own key pair, so an auction's events
+// can be exported and checked on their own (see lib/audit.js). The `events`
+// namespace of the schema maps auction and sequence to the position in the
+// core, and is caught up from the core on startup in case the server stopped
+// between the two writes.
+class AuctionEventLog {
+  constructor(core, schema, { logger = console } = {}) {
+    this.core = core;
+    this.schema = schema;
+    this.logger = logger;
+    this.lock = new KeyedLock();
+  }
+
+  get key() {
+    return this.core.key.toString('hex');
+  }
+
+  async ready() {
+    await this.core.ready();
+    // A Hypercore secret key is the Ed25519 seed followed by the public key
+    this.identity = identityFromSeed(this.core.keyPair.secretKey.subarray(0, 32));
+    await this.catchUp();
+  }
+
+  async catchUp() {
+    const indexed = (await this.schema.meta.get('eventLogLength'))?.value || 0;
+    if (indexed >= this.core.length) return;
+
+    const batch = this.schema.batch();
+    for (let index = indexed; index < this.core.length; index++) {
+      const event = await this.core.get(index);
+      await batch.put(this.schema.events, eventKeyOf(event.auctionId, event.auctionSeq), { index, hash: event.hash });
+    }
+    await batch.put(this.schema.meta, 'eventLogLength', this.core.length);
+    await batch.flush();
+    this.logger.log(`Indexed ${this.core.length - indexed} event log entries`);
+  }
+
+  async head(auctionId) {
+    const stream = this.schema.events.createReadStream({ gt: `${auctionId}!`, lt: `${auctionId}!~`, reverse: true, limit: 1 });
+    for await (const { key, value } of stream) {
+      return { auctionSeq: parseInt(key.slice(auctionId.length + 1), 10), hash: value.hash };
+    }
+    return null;
+  }
+
+  // Appends are serialized so every event sees the head written before it
+  append(auctionId, type, data) {
+    return this.lock.run('append', async () => {
+      const head = await this.head(auctionId);
+      const event = {
+        auctionId,
+        auctionSeq: head ? head.auctionSeq + 1 : 1,
+        type,
+        data,
+        timestamp: Date.now(),
+        prevHash: head ? head.hash : null
+      };
+      event.hash = hashEvent(event);
+      event.signature = sign(Buffer.from(event.hash, 'hex'), this.identity);
+
+      const { length } = await this.core.append(event);
+
+      const batch = this.schema.batch();
+      await batch.put(this.schema.events, eventKeyOf(auctionId, event.auctionSeq), { index: length - 1, hash: event.hash });
+      await batch.put(this.schema.meta, 'eventLogLength', length);
+      await batch.flush();
+      return event;
+    });
+  }
+
+  async events(auctionId) {
+    const indexes = [];
+    for await (const { value } of this.schema.events.createReadStream({ gt: `${auctionId}!`, lt: `${auctionId}!~` })) {
+      indexes.push(value.index);
+    }
+    return Promise.all(indexes.map((index) => this.core.get(index)));
+  }
+
+  // Auctions opened before the log existed start from a snapshot of their
+  // stored state, so replaying still ends at the state on disk. Auctions
+  // whose amounts were just moved to minor units (see lib/schema.js) get an
+  // amountsMigrated event, after which their events hold minor units too
+  async ensureBaseline(store) {
+    const pending = [];
+    for await (const { key, value } of this.schema.auctions.createReadStream()) {
+      const logged = Boolean(await this.head(key));
+      if (!logged || value.minorUnitsPending) pending.push({ auctionId: key, logged });
+    }
+
+    let imported = 0;
+    for (const { auctionId, logged } of pending) {
+      const { bids, minorUnitsPending, ...auction } = await store.getAuction(auctionId);
+      if (!logged) {
+        await this.append(auctionId, 'imported', { auction, bids });
+        imported++;
+      } else {
+        await this.append(auctionId, 'amountsMigrated', { currency: auction.currency });
+      }
+      if (minorUnitsPending) await store.saveAuction({ ...auction, bids });
+    }
+    if (imported > 0) this.logger.log(`Added ${imported} existing auction(s) to the event log`);
+  }
+}
+
+module.exports = { AuctionEventLog };
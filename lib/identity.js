@@ -0,0 +1,133 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// DER headers that wrap a raw 32-byte Ed25519 key so node's crypto can load it
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// How long a signed request stays valid, in milliseconds
+const DEFAULT_MAX_SKEW = 5 * 60 * 1000;
+
+const identityFromSeed = (seed) => {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKey = crypto.createPublicKey(privateKey)
+    .export({ format: 'der', type: 'spki' })
+    .subarray(ED25519_SPKI_PREFIX.length);
+
+  return { privateKey, publicKey: publicKey.toString('hex') };
+};
+
+const publicKeyFromHex = (hex) => {
+  return crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(hex, 'hex')]),
+    format: 'der',
+    type: 'spki'
+  });
+};
+
+// Signatures cover a JSON encoding with sorted keys, so both sides agree on
+// the bytes regardless of property order
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.keys(value).sort().reduce((sorted, key) => {
+    sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }, {});
+};
+
+const canonicalize = (value) => JSON.stringify(sortKeys(value));
+
+const sign = (message, identity) => crypto.sign(null, message, identity.privateKey).toString('hex');
+
+const verifySignature = (message, signature, publicKey) => {
+  try {
+    return crypto.verify(null, message, publicKeyFromHex(publicKey), Buffer.from(signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Binds the payload to one RPC method and a moment in time, then signs it.
+// The envelope uses requestNonce so it never clashes with a payload's own
+// fields, such as the nonce of a sealed-bid reveal.
+const signRequest = (method, payload, identity) => {
+  const body = {
+    ...payload,
+    method,
+    publicKey: identity.publicKey,
+    signedAt: Date.now(),
+    requestNonce: crypto.randomBytes(16).toString('hex')
+  };
+  return { ...body, signature: sign(Buffer.from(canonicalize(body), 'utf-8'), identity) };
+};
+
+// Checks only the signature of a signed request, without the freshness and
+// replay checks, so a stored request can still be verified later on
+const isSignedRequest = (payload) => {
+  const { signature, ...body } = payload || {};
+  if (!signature || !/^[0-9a-f]{64}$/.test(body.publicKey || '')) return false;
+  return verifySignature(Buffer.from(canonicalize(body), 'utf-8'), signature, body.publicKey);
+};
+
+class RequestVerifier {
+  constructor(maxSkew = DEFAULT_MAX_SKEW) {
+    this.maxSkew = maxSkew;
+    this.seenNonces = new Map(); // nonce -> expiry
+  }
+
+  // Returns { publicKey } for a valid request, { error } otherwise
+  verify(payload, method) {
+    const { signature, ...body } = payload;
+
+    if (!signature || !/^[0-9a-f]{64}$/.test(body.publicKey || '')) {
+      return { error: 'Request must be signed' };
+    }
+
+    if (body.method !== method) {
+      return { error: 'Signature was made for a different request' };
+    }
+
+    const now = Date.now();
+    if (!Number.isFinite(body.signedAt) || Math.abs(now - body.signedAt) > this.maxSkew) {
+      return { error: 'Signed request has expired' };
+    }
+
+    this.pruneNonces(now);
+    if (!body.requestNonce || this.seenNonces.has(body.requestNonce)) {
+      return { error: 'Request has already been processed' };
+    }
+
+    if (!verifySignature(Buffer.from(canonicalize(body), 'utf-8'), signature, body.publicKey)) {
+      return { error: 'Invalid signature' };
+    }
+
+    this.seenNonces.set(body.requestNonce, body.signedAt + this.maxSkew);
+    return { publicKey: body.publicKey };
+  }
+
+  pruneNonces(now) {
+    for (const [nonce, expiry] of this.seenNonces) {
+      if (expiry < now) this.seenNonces.delete(nonce);
+    }
+  }
+}
+
+// Drops the signing envelope so only the caller's own fields get stored
+const stripSignature = ({ method, publicKey, signedAt, requestNonce, signature, ...fields }) => fields;
+
+module.exports = {
+  canonicalize,
+  identityFromSeed,
+  isSignedRequest,
+  sign,
+  signRequest,
+  stripSignature,
+  verifySignature,
+  RequestVerifier
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+// Runs async sections one at a time per key. Each caller waits for the
+// previous holder of the same key, so read-modify-write cycles on one
+// auction can never interleave while different auctions stay independent.
+class KeyedLock {
+  constructor() {
+    this.tails = new Map(); // key -> promise that settles when the last holder releases
+  }
+
+  async run(key, section) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    await previous;
+    try {
+      return await section();
+    } finally {
+      release();
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    }
+  }
+
+  // Settles once every section running or queued right now has finished
+  async idle() {
+    await Promise.all([...this.tails.values()]);
+  }
+}
+
+module.exports = { KeyedLock };
@@ -0,0 +1,104 @@
+'use strict';
+
+// Every amount is kept as a whole number of the currency's minor unit (cents
+// for USD), so prices add up and compare exactly. Amounts come in as decimal
+// strings or numbers in the major unit ("947.35") and go out as decimal
+// strings with the currency's number of decimals.
+
+// Decimals of the minor unit for each currency an auction can be priced in
+const CURRENCIES = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CHF: 2,
+  JPY: 0,
+  USDT: 6,
+  BTC: 8
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+// The fields that hold an amount, wherever they appear in an auction, a bid,
+// a response or a notification (tiers of a minimum increment and steps of a
+// price schedule included)
+const MONEY_FIELDS = new Set([
+  'amount', 'price', 'startPrice', 'currentPrice', 'minimumPrice', 'reservePrice',
+  'buyNowPrice', 'clearingPrice', 'finalPrice', 'maxBid', 'minimumBid', 'yourBid',
+  'currentHighestBid', 'currentBestOffer', 'maximumOffer', 'decrementRate', 'rate',
+  'drop', 'from'
+]);
+
+const isCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+const decimalsOf = (currency) => CURRENCIES[currency] ?? CURRENCIES[DEFAULT_CURRENCY];
+
+const parseCurrency = (value) => {
+  const code = value === undefined || value === null || value === '' ? DEFAULT_CURRENCY : String(value).toUpperCase();
+  if (!isCurrency(code)) {
+    throw new Error(`Invalid currency. Must be one of: ${Object.keys(CURRENCIES).join(', ')}`);
+  }
+  return code;
+};
+
+// Exact: "19.99" USD is 1999, and anything that is not a plain non-negative
+// decimal with at most the currency's decimals (NaN, "abc", -5, 1e3, 0.001
+// USD) throws. Numbers go through their shortest string form, which is the
+// decimal the sender wrote for any amount with a sensible number of digits.
+const toMinorUnits = (value, currency, name = 'Amount') => {
+  const decimals = decimalsOf(currency);
+  const text = typeof value === 'number' || typeof value === 'string' ? String(value).trim() : '';
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match || (match[2] || '').replace(/0+$/, '').length > decimals) {
+    throw new Error(`${name} must be a non-negative decimal with at most ${decimals} decimal place(s) for ${currency}`);
+  }
+  const fraction = (match[2] || '').padEnd(decimals, '0').slice(0, decimals);
+  const minor = Number(match[1] + fraction);
+  if (!Number.isSafeInteger(minor)) throw new Error(`${name} is too large`);
+  return minor;
+};
+
+// 94735 USD is "947.35"
+const formatAmount = (minor, currency) => {
+  const decimals = decimalsOf(currency);
+  const digits = String(Math.abs(minor)).padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  return `${minor < 0 ? '-' : ''}${whole}${decimals > 0 ? `.${digits.slice(-decimals)}` : ''}`;
+};
+
+// Applies `convert` to every amount field holding a number. Signed requests
+// are left exactly as they were sent.
+const mapAmounts = (value, convert) => {
+  if (Array.isArray(value)) return value.map((item) => mapAmounts(item, convert));
+  if (!value || typeof value !== 'object') return value;
+
+  const mapped = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (key === 'request') mapped[key] = field;
+    else if (MONEY_FIELDS.has(key) && typeof field === 'number') mapped[key] = convert(field);
+    else mapped[key] = mapAmounts(field, convert);
+  }
+  return mapped;
+};
+
+// Every amount in `value` as a decimal string, for responses and notifications
+const formatAmounts = (value, currency) => mapAmounts(value, (minor) => formatAmount(minor, currency));
+
+// Amounts stored before minor units were plain numbers of the default
+// currency's major unit. Used by the schema migration and by the audit when
+// it replays events logged before it.
+const legacyAmount = (amount) => Math.round(amount * 10 ** decimalsOf(DEFAULT_CURRENCY));
+
+const legacyToMinorUnits = (value) => mapAmounts(value, legacyAmount);
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  decimalsOf,
+  formatAmount,
+  formatAmounts,
+  isCurrency,
+  legacyAmount,
+  legacyToMinorUnits,
+  parseCurrency,
+  toMinorUnits
+};
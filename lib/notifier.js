@@ -0,0 +1,309 @@
+'use strict';
+
+const { encodeMessage } = require('./codec');
+const { defaultSubscriptions, matchesSubscriptions } = require('./subscriptions');
+
+const DEFAULT_OPTIONS = {
+  requestTimeout: 5000, // per delivery attempt
+  heartbeatInterval: 30 * 1000,
+  deadClientTimeout: 10 * 60 * 1000, // drop clients unreachable for this long
+  baseRetryDelay: 1000,
+  maxRetryDelay: 60 * 1000,
+  retention: 500 // delivered notifications kept per client for catch-up
+};
+
+// Lock key for a client's record and outbox
+const lockKeyOf = (clientKey) => `client!${clientKey}`;
+// Taken while a new client is counted against the cap and stored
+const NEW_CLIENTS_LOCK = 'clients!new';
+const outboxPrefix = (clientKey) => `${clientKey}!`;
+const outboxKeyOf = (clientKey, seq) => outboxPrefix(clientKey) + String(seq).padStart(12, '0');
+
+// Delivers notifications through a persistent per-client outbox. Every event
+// gets the next sequence number of each client and is stored before it is
+// sent, so a failed send is retried with backoff and a client that was offline
+// can ask for whatever it missed. A heartbeat keeps track of which clients are
+// alive, and clients that stay unreachable for too long are dropped.
+class Notifier {
+  constructor(server, options = {}) {
+    this.server = server;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.deliveries = new Map(); // clientKey -> { again } while a delivery loop runs
+    this.retryTimers = new Map(); // clientKey -> pending retry timeout
+  }
+
+  get schema() {
+    return this.server.schema;
+  }
+
+  async start() {
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.options.heartbeatInterval);
+    // Flush whatever was still queued when the server went down
+    for (const client of await this.listClients()) {
+      this.deliver(client.clientKey);
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearInterval(this.heartbeatTimer);
+    for (const timer of this.retryTimers.values()) clearTimeout(timer);
+    this.retryTimers.clear();
+  }
+
+  async listClients() {
+    const clients = [];
+    for await (const { value } of this.schema.clients.createReadStream()) {
+      clients.push(value);
+    }
+    return clients;
+  }
+
+  async getClient(clientKey) {
+    return (await this.schema.clients.get(clientKey))?.value || null;
+  }
+
+  // Client records are read-modify-write, so they share the server's locks
+  updateClient(clientKey, update) {
+    return this.server.locks.run(lockKeyOf(clientKey), async () => {
+      const client = await this.getClient(clientKey);
+      if (!client) return null;
+      update(client);
+      await this.schema.clients.put(clientKey, client);
+      return client;
+    });
+  }
+
+  async countClients() {
+    let count = 0;
+    for await (const entry of this.schema.clients.createReadStream()) {
+      count++;
+    }
+    return count;
+  }
+
+  // `codec` is the one the client's notifications are sent in from now on,
+  // see lib/codec.js. New clients are turned away ({ client: null }) once
+  // `maxClients` are registered; known ones can always register again.
+  async register(clientKey, codec = 'json', { maxClients = 0 } = {}) {
+    const registration = await this.server.locks.run(lockKeyOf(clientKey), async () => {
+      const now = Date.now();
+      const existing = await this.getClient(clientKey);
+      if (existing) {
+        const client = { ...existing, codec, lastSeen: now, failures: 0 };
+        await this.schema.clients.put(clientKey, client);
+        return { client, isNew: false };
+      }
+
+      // Counted and stored under one lock, so parallel registrations cannot
+      // overshoot the cap
+      return this.server.locks.run(NEW_CLIENTS_LOCK, async () => {
+        if (maxClients && await this.countClients() >= maxClients) return { client: null, isNew: false };
+        const client = { clientKey, codec, registeredAt: now, lastSeen: now, failures: 0, nextSeq: 1, ackedSeq: 0, subscriptions: defaultSubscriptions() };
+        await this.schema.clients.put(clientKey, client);
+        return { client, isNew: true };
+      });
+    });
+
+    if (registration.client) this.deliver(clientKey);
+    return registration;
+  }
+
+  async removeClient(clientKey) {
+    await this.server.locks.run(lockKeyOf(clientKey), async () => {
+      const batch = this.schema.batch();
+      await batch.del(this.schema.clients, clientKey);
+      for await (const { key } of this.schema.outbox.createReadStream({ gt: outboxPrefix(clientKey), lt: `${outboxPrefix(clientKey)}~` })) {
+        await batch.del(this.schema.outbox, key);
+      }
+      await batch.flush();
+    });
+
+    clearTimeout(this.retryTimers.get(clientKey));
+    this.retryTimers.delete(clientKey);
+    this.server.logger.log('Removed unreachable client:', clientKey);
+  }
+
+  // Queues an event for every client subscribed to it and returns once it is
+  // stored. See matchesSubscriptions for what `route` can carry.
+  async enqueue(type, data, route = {}) {
+    const clients = (await this.listClients())
+      .filter((client) => matchesSubscriptions(client.subscriptions, type, data, route));
+    await Promise.all(clients.map(async ({ clientKey }) => {
+      await this.server.locks.run(lockKeyOf(clientKey), async () => {
+        const client = await this.getClient(clientKey);
+        if (!client) return;
+
+        const seq = client.nextSeq;
+        client.nextSeq = seq + 1;
+
+        const batch = this.schema.batch();
+        await batch.put(this.schema.outbox, outboxKeyOf(clientKey, seq), { seq, type, data, createdAt: Date.now() });
+        await batch.put(this.schema.clients, clientKey, client);
+        await batch.flush();
+      });
+
+      this.deliver(clientKey);
+    }));
+  }
+
+  // Starts a delivery loop for the client, or asks the running one to go again
+  deliver(clientKey) {
+    if (this.stopped) return;
+    const running = this.deliveries.get(clientKey);
+    if (running) {
+      running.again = true;
+      return;
+    }
+
+    // A scheduled retry will pick the new entries up
+    if (this.retryTimers.has(clientKey)) return;
+
+    const state = { again: true };
+    this.deliveries.set(clientKey, state);
+    this.runDelivery(clientKey, state)
+      .catch((error) => this.server.logger.error(`Error delivering to client ${clientKey}:`, error))
+      .finally(() => this.deliveries.delete(clientKey));
+  }
+
+  async runDelivery(clientKey, state) {
+    while (state.again) {
+      state.again = false;
+
+      const client = await this.getClient(clientKey);
+      if (!client) return;
+
+      const pending = await this.readOutbox(clientKey, client.ackedSeq);
+      for (const entry of pending) {
+        try {
+          // Clients registered before codecs existed have none and read JSON
+          await this.server.rpc.request(
+            Buffer.from(clientKey, 'hex'),
+            entry.type,
+            encodeMessage(client.codec || 'json', { ...entry.data, seq: entry.seq }),
+            { timeout: this.options.requestTimeout }
+          );
+        } catch (error) {
+          this.server.logger.error(`Failed to notify client ${clientKey}:`, error.message);
+          await this.scheduleRetry(clientKey);
+          return;
+        }
+
+        await this.acknowledge(clientKey, entry.seq);
+      }
+    }
+  }
+
+  async readOutbox(clientKey, afterSeq) {
+    const entries = [];
+    const stream = this.schema.outbox.createReadStream({
+      gt: outboxKeyOf(clientKey, afterSeq),
+      lt: `${outboxPrefix(clientKey)}~`
+    });
+    for await (const { value } of stream) {
+      entries.push(value);
+    }
+    return entries;
+  }
+
+  async acknowledge(clientKey, seq) {
+    const client = await this.updateClient(clientKey, (client) => {
+      client.ackedSeq = Math.max(client.ackedSeq, seq);
+      client.lastSeen = Date.now();
+      client.failures = 0;
+    });
+
+    // Keep the last few delivered entries around for catch-up requests.
+    // Everything older goes, including entries a catch-up acknowledged in
+    // one go.
+    const expired = seq - this.options.retention;
+    if (client && expired > 0) {
+      const batch = this.schema.batch();
+      for await (const { key } of this.schema.outbox.createReadStream({ gt: outboxPrefix(clientKey), lte: outboxKeyOf(clientKey, expired) })) {
+        await batch.del(this.schema.outbox, key);
+      }
+      await batch.flush();
+    }
+  }
+
+  async scheduleRetry(clientKey) {
+    // A send that failed because the server is shutting down
+    if (this.stopped) return;
+    const client = await this.updateClient(clientKey, (client) => {
+      client.failures += 1;
+    });
+    if (!client) return;
+
+    const delay = Math.min(
+      this.options.baseRetryDelay * 2 ** (client.failures - 1),
+      this.options.maxRetryDelay
+    );
+    this.retryTimers.set(clientKey, setTimeout(() => {
+      this.retryTimers.delete(clientKey);
+      this.deliver(clientKey);
+    }, delay));
+  }
+
+  // Everything after `since` that is still retained, for a reconnecting client
+  async fetch(clientKey, since) {
+    const client = await this.getClient(clientKey);
+    if (!client) return null;
+
+    const notifications = await this.readOutbox(clientKey, since);
+    if (notifications.length > 0) {
+      await this.acknowledge(clientKey, notifications[notifications.length - 1].seq);
+    }
+
+    return {
+      notifications: notifications.map(({ seq, type, data }) => ({ seq, type, data })),
+      latestSeq: client.nextSeq - 1,
+      // Entries older than the retention window are gone for good
+      truncated: notifications.length > 0 ? notifications[0].seq > since + 1 : since < client.nextSeq - 1
+    };
+  }
+
+  // Runs never overlap: a run waits out the request timeout of every
+  // unreachable client in turn, so it can take longer than the interval
+  async heartbeat() {
+    if (this.heartbeatRunning) return;
+    this.heartbeatRunning = true;
+    try {
+      await this.pingClients();
+    } finally {
+      this.heartbeatRunning = false;
+    }
+  }
+
+  async pingClients() {
+    const now = Date.now();
+    for (const client of await this.listClients()) {
+      if (now - client.lastSeen > this.options.deadClientTimeout) {
+        await this.removeClient(client.clientKey);
+        continue;
+      }
+
+      try {
+        await this.server.rpc.request(
+          Buffer.from(client.clientKey, 'hex'),
+          'heartbeat',
+          encodeMessage(client.codec || 'json', { timestamp: now, latestSeq: client.nextSeq - 1 }),
+          { timeout: this.options.requestTimeout }
+        );
+        await this.updateClient(client.clientKey, (client) => {
+          client.lastSeen = Date.now();
+        });
+
+        // The client is back, so don't wait out the retry backoff
+        if (this.retryTimers.has(client.clientKey)) {
+          clearTimeout(this.retryTimers.get(client.clientKey));
+          this.retryTimers.delete(client.clientKey);
+        }
+        this.deliver(client.clientKey);
+      } catch (error) {
+        this.server.logger.error(`Heartbeat failed for client ${client.clientKey}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = { Notifier };
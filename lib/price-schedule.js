@@ -0,0 +1,210 @@
+'use strict';
+
+const { toMinorUnits } = require('./money');
+
+// How a Dutch auction's price falls over time, shared by the server when it
+// checks a bid or broadcasts a price and by the audit verifier when it replays
+// a bid. Every price is worked out from the auction's startTime, never from
+// the last tick, so any two readers agree on the price at a given moment.
+// Prices, drops and rates are in minor units, and every price is rounded to
+// a whole one.
+//
+// Schedules (times in seconds after the start):
+// - { type: 'linear', rate }: falls by `rate` every second
+// - { type: 'step', drop, every }: falls by `drop` every `every` seconds
+// - { type: 'exponential', percent, every }: loses `percent`% of its price
+//   every `every` seconds
+// - { type: 'points', points: [{ at, price }] }: holds each listed price from
+//   its time on; the starting price holds until the first one
+
+const PRICE_SCHEDULES = ['linear', 'step', 'exponential', 'points'];
+
+// Seconds between priceUpdate broadcasts
+const DEFAULT_UPDATE_INTERVAL = 5;
+const MIN_UPDATE_INTERVAL = 1;
+
+// Auctions opened before schedules existed only have a decrementRate
+const scheduleOf = (auction) => auction.priceSchedule || { type: 'linear', rate: auction.decrementRate };
+
+const scheduledPrice = (schedule, startPrice, elapsed) => {
+  switch (schedule.type) {
+    case 'linear':
+      return startPrice - schedule.rate * elapsed;
+    case 'step':
+      return startPrice - schedule.drop * Math.floor(elapsed / schedule.every);
+    case 'exponential':
+      return startPrice * (1 - schedule.percent / 100) ** Math.floor(elapsed / schedule.every);
+    case 'points': {
+      let price = startPrice;
+      for (const point of schedule.points) {
+        if (point.at <= elapsed) price = point.price;
+      }
+      return price;
+    }
+    default:
+      throw new Error(`Unknown price schedule: ${schedule.type}`);
+  }
+};
+
+const dutchPriceAt = (auction, at) => {
+  const elapsed = Math.max(at - auction.startTime, 0) / 1000; // time in seconds
+  return Math.max(Math.round(scheduledPrice(scheduleOf(auction), auction.startPrice, elapsed)), auction.minimumPrice);
+};
+
+// When the price first reaches the floor, in ms since the epoch, or Infinity
+// when the schedule never gets there
+const floorReachedAt = (auction) => {
+  const schedule = scheduleOf(auction);
+  const { startPrice, minimumPrice: floor } = auction;
+  let seconds;
+  switch (schedule.type) {
+    case 'linear':
+      seconds = (startPrice - floor) / schedule.rate;
+      break;
+    case 'step':
+      seconds = Math.ceil((startPrice - floor) / schedule.drop) * schedule.every;
+      break;
+    case 'exponential': {
+      if (floor <= 0) return Infinity;
+      // The small slack keeps floating point noise from costing a whole step
+      const steps = Math.ceil(Math.log(floor / startPrice) / Math.log(1 - schedule.percent / 100) - 1e-9);
+      seconds = Math.max(steps, 0) * schedule.every;
+      break;
+    }
+    case 'points': {
+      const point = schedule.points.find((candidate) => candidate.price <= floor);
+      if (!point) return Infinity;
+      seconds = point.at;
+      break;
+    }
+    default:
+      throw new Error(`Unknown price schedule: ${schedule.type}`);
+  }
+  return auction.startTime + Math.max(seconds, 0) * 1000;
+};
+
+const positive = (value, name) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`Price schedule ${name} must be a positive number`);
+  }
+  return number;
+};
+
+const positiveAmount = (value, name, currency) => {
+  const amount = toMinorUnits(value, currency, `Price schedule ${name}`);
+  if (amount <= 0) throw new Error(`Price schedule ${name} must be a positive number`);
+  return amount;
+};
+
+// Accepts [{ at, price }] or text ("30:400,60:300": 400 from 30 seconds in,
+// 300 from 60). Times have to rise and prices must not.
+const parsePricePoints = (value, startPrice, currency) => {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value).split(',').map((entry) => {
+      const [at, price] = entry.split(':');
+      if (price === undefined) {
+        throw new Error(`Invalid price point "${entry}": use <seconds>:<price>`);
+      }
+      return { at, price };
+    });
+  if (entries.length === 0) throw new Error('A points schedule needs at least one price point');
+
+  let previous = { at: -1, price: startPrice };
+  return entries.map((entry) => {
+    const point = { at: Number(entry.at), price: toMinorUnits(entry.price, currency, 'Price point') };
+    if (!Number.isFinite(point.at) || point.at <= previous.at || point.price > previous.price) {
+      throw new Error(`Invalid price point ${JSON.stringify(entry)}: times must rise and prices must not, starting from the starting price`);
+    }
+    previous = point;
+    return point;
+  });
+};
+
+const parsePriceSchedule = (value, startPrice, currency) => {
+  // A bare decrementRate (or nothing at all) keeps the original linear drop
+  const given = typeof value === 'object' && value !== null ? value : { type: 'linear', rate: value || 1 };
+  const type = given.type || 'linear';
+  switch (type) {
+    case 'linear':
+      return { type, rate: positiveAmount(given.rate, 'rate', currency) };
+    case 'step':
+      return { type, drop: positiveAmount(given.drop, 'drop', currency), every: positive(given.every, 'interval') };
+    case 'exponential': {
+      const percent = positive(given.percent, 'percentage');
+      if (percent >= 100) throw new Error('Price schedule percentage must be below 100');
+      return { type, percent, every: positive(given.every, 'interval') };
+    }
+    case 'points':
+      return { type, points: parsePricePoints(given.points, startPrice, currency) };
+    default:
+      throw new Error(`Invalid price schedule. Must be one of: ${PRICE_SCHEDULES.join(', ')}`);
+  }
+};
+
+// The Dutch terms of an openAuction request: priceSchedule (or the older
+// decrementRate), minimumPrice and updateInterval, with amounts in the major
+// unit of `currency` and startPrice already in minor units. Throws on
+// anything invalid, including a floor the schedule never reaches. Without a
+// floor, a points schedule stops at its last price and linear and step ones
+// at 0.
+const parseDutchTerms = (req, startPrice, currency) => {
+  const priceSchedule = parsePriceSchedule(req.priceSchedule || req.decrementRate, startPrice, currency);
+
+  const isSet = (field) => req[field] !== undefined && req[field] !== null && req[field] !== '';
+  const minimumPrice = isSet('minimumPrice')
+    ? toMinorUnits(req.minimumPrice, currency, 'Minimum price')
+    : priceSchedule.type === 'points' ? priceSchedule.points[priceSchedule.points.length - 1].price : 0;
+  if (minimumPrice >= startPrice) {
+    throw new Error('Minimum price must be below the starting price');
+  }
+  // The auction closes when the price reaches its floor, so a floor the
+  // price never gets to would keep it open for good
+  if (priceSchedule.type === 'exponential' && minimumPrice <= 0) {
+    throw new Error('An exponential price schedule never reaches 0, so it needs a minimum price above 0');
+  }
+  if (priceSchedule.type === 'points' && minimumPrice < priceSchedule.points[priceSchedule.points.length - 1].price) {
+    throw new Error('Minimum price must not be below the last price point, which the price stops at');
+  }
+
+  const updateInterval = isSet('updateInterval') ? Number(req.updateInterval) : DEFAULT_UPDATE_INTERVAL;
+  if (!Number.isFinite(updateInterval) || updateInterval < MIN_UPDATE_INTERVAL) {
+    throw new Error(`Update interval must be at least ${MIN_UPDATE_INTERVAL} second(s)`);
+  }
+
+  return {
+    priceSchedule,
+    decrementRate: priceSchedule.type === 'linear' ? priceSchedule.rate : 0,
+    minimumPrice,
+    updateInterval
+  };
+};
+
+// One line for people, e.g. "falls by 20.00 every 10 seconds", from an
+// auction as clients see it (amounts already formatted)
+const describeSchedule = (auction) => {
+  const schedule = scheduleOf(auction);
+  switch (schedule.type) {
+    case 'linear':
+      return `falls by ${schedule.rate} per second`;
+    case 'step':
+      return `falls by ${schedule.drop} every ${schedule.every} seconds`;
+    case 'exponential':
+      return `falls by ${schedule.percent}% every ${schedule.every} seconds`;
+    case 'points':
+      return `steps down to ${schedule.points.map(({ at, price }) => `${price} at ${at}s`).join(', ')}`;
+    default:
+      return schedule.type;
+  }
+};
+
+module.exports = {
+  DEFAULT_UPDATE_INTERVAL,
+  PRICE_SCHEDULES,
+  describeSchedule,
+  dutchPriceAt,
+  floorReachedAt,
+  parseDutchTerms,
+  scheduleOf
+};
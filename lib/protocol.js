@@ -0,0 +1,329 @@
+'use strict';
+
+const { decodeMessage } = require('./codec');
+
+// The RPC protocol between clients and the auction server: its version, the
+// error codes a refused request carries, and the request and response schema
+// of every method. The server checks each request against its schema before
+// any handler logic runs; clients check each response against its schema.
+
+// Bumped whenever a request or response changes incompatibly. Clients send
+// theirs with serverReady and registerClient, and the server answers with its
+// own; clients from before versioning send none. Version 2 added codec
+// negotiation (see lib/codec.js). Version 1 clients offer no codec, so they
+// are answered in JSON and keep working.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Every refused request is { error, code, ...details }: `error` is meant for
+// people and may change, `code` is one of these and does not
+const ERROR_CODES = {
+  MALFORMED_REQUEST: 'MALFORMED_REQUEST', // not an object in either codec
+  INVALID_REQUEST: 'INVALID_REQUEST', // a field is missing, unknown, of the wrong type or out of range
+  UNSUPPORTED_PROTOCOL_VERSION: 'UNSUPPORTED_PROTOCOL_VERSION',
+  UNAUTHENTICATED: 'UNAUTHENTICATED', // unsigned, expired, replayed or badly signed
+  FORBIDDEN: 'FORBIDDEN', // signed or sent by a key that may not do this
+  NOT_REGISTERED: 'NOT_REGISTERED', // the client has not registered for notifications
+  AUCTION_NOT_FOUND: 'AUCTION_NOT_FOUND',
+  AUCTION_CLOSED: 'AUCTION_CLOSED', // closed, or past its end time
+  WRONG_AUCTION_TYPE: 'WRONG_AUCTION_TYPE', // not something this type of auction does
+  OUTSIDE_WINDOW: 'OUTSIDE_WINDOW', // before or after a sealed auction's commit or reveal window
+  BID_TOO_LOW: 'BID_TOO_LOW', // below the price, the minimum increment or the starting price
+  OFFER_TOO_HIGH: 'OFFER_TOO_HIGH', // a reverse auction offer that does not undercut enough
+  NO_COMMITMENT: 'NO_COMMITMENT', // a reveal without a matching commitment
+  COMMITMENT_MISMATCH: 'COMMITMENT_MISMATCH', // a reveal that does not open its commitment
+  CONFLICT: 'CONFLICT', // already revealed, or a bidder name someone else holds
+  NOT_YET_AVAILABLE: 'NOT_YET_AVAILABLE', // kept hidden until the auction closes
+  RATE_LIMITED: 'RATE_LIMITED', // too many requests from this peer; retryAfter says how many ms to wait
+  LIMIT_REACHED: 'LIMIT_REACHED', // the seller's open auctions or the server's clients are at their cap
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Field types, written as 'type', 'type?' (may be left out or null),
+// 'type|other' or 'type[]'
+const FIELD_TYPES = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+  // Decimal amounts; their digits are checked against the auction's
+  // currency by lib/money.js
+  amount: (value) => typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value)),
+  auctionId: (value) => typeof value === 'string' && /^[0-9a-f]{32}$/.test(value),
+  key: (value) => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value)
+};
+
+// The envelope lib/identity.js adds to a signed request. Presence and
+// validity are left to the request verifier, so they fail as UNAUTHENTICATED.
+const SIGNED_FIELDS = {
+  method: 'string?',
+  publicKey: 'string?',
+  signedAt: 'number?',
+  requestNonce: 'string?',
+  signature: 'string?'
+};
+
+const TOPIC_FIELDS = {
+  clientKey: 'key',
+  auctionIds: 'auctionId[]?',
+  sellers: 'key[]?',
+  bidders: 'key[]?',
+  newAuctions: 'boolean?',
+  all: 'boolean?'
+};
+
+// `stats` counts the peers being rate limited and the requests turned away
+// by method since the server started
+const LIMITS_RESPONSE = {
+  rateLimits: 'object',
+  maxOpenAuctionsPerSeller: 'number',
+  maxClients: 'number',
+  stats: 'object'
+};
+
+// The methods both sides name their protocol version in
+const HANDSHAKE_METHODS = ['serverReady', 'registerClient'];
+
+// Responses may carry more fields than listed, so a server can add some
+// without breaking older clients
+const METHODS = {
+  // `codecs` are the ones the client reads, preferred first, and `codec` the
+  // one the server picked for this connection
+  serverReady: {
+    request: { protocolVersion: 'integer?', codecs: 'string[]?' },
+    response: {
+      status: 'string',
+      protocolVersion: 'integer',
+      minProtocolVersion: 'integer',
+      codec: 'string?',
+      timestamp: 'number',
+      serverId: 'key',
+      openAuctions: 'integer'
+    }
+  },
+  registerClient: {
+    // Here `codec` is the one notifications to this client are sent in
+    request: { serverPublicKey: 'key', protocolVersion: 'integer?', codecs: 'string[]?', timestamp: 'number?' },
+    response: {
+      success: 'boolean',
+      protocolVersion: 'integer',
+      minProtocolVersion: 'integer',
+      codec: 'string?',
+      latestSeq: 'integer',
+      timestamp: 'number'
+    }
+  },
+  fetchNotifications: {
+    request: { clientKey: 'key', since: 'integer?' },
+    response: { notifications: 'array', latestSeq: 'integer', truncated: 'boolean' }
+  },
+  subscribe: {
+    request: TOPIC_FIELDS,
+    response: { success: 'boolean', subscriptions: 'object' }
+  },
+  unsubscribe: {
+    request: TOPIC_FIELDS,
+    response: { success: 'boolean', subscriptions: 'object' }
+  },
+  openAuction: {
+    signed: true,
+    request: {
+      item: 'string',
+      price: 'amount',
+      currency: 'string?',
+      auctionType: 'string?',
+      settlementRule: 'string?',
+      quantity: 'integer?',
+      decrementRate: 'amount?',
+      priceSchedule: 'object?',
+      minimumPrice: 'amount?',
+      updateInterval: 'number?',
+      commitDuration: 'number?',
+      revealDuration: 'number?',
+      duration: 'number?',
+      endTime: 'number?',
+      softCloseWindow: 'number?',
+      softCloseExtension: 'number?',
+      reservePrice: 'amount?',
+      buyNowPrice: 'amount?',
+      minIncrement: 'amount|array?',
+      minDecrement: 'amount|array?'
+    },
+    response: { auctionId: 'auctionId', auction: 'object' }
+  },
+  placeBid: {
+    signed: true,
+    request: { auctionId: 'auctionId', bidder: 'string', amount: 'amount?', maxBid: 'amount?', quantity: 'integer?' },
+    response: { success: 'boolean', currentPrice: 'string', currency: 'string', leading: 'boolean', closed: 'boolean' }
+  },
+  closeAuction: {
+    signed: true,
+    request: { auctionId: 'auctionId' },
+    response: { success: 'boolean', outcome: 'string', winner: 'string|null', currency: 'string', auctionType: 'string' }
+  },
+  getAuctionDetails: {
+    request: { auctionId: 'auctionId' },
+    response: {
+      auctionId: 'auctionId',
+      item: 'string',
+      auctionType: 'string',
+      currency: 'string',
+      startPrice: 'string',
+      currentPrice: 'string',
+      closed: 'boolean',
+      startTime: 'number'
+    }
+  },
+  listAuctions: {
+    request: {
+      status: 'string?',
+      auctionType: 'string?',
+      seller: 'key?',
+      currency: 'string?',
+      minPrice: 'amount?',
+      maxPrice: 'amount?',
+      createdAfter: 'number?',
+      createdBefore: 'number?',
+      cursor: 'string?',
+      limit: 'integer?'
+    },
+    response: { auctions: 'array', nextCursor: 'string|null' }
+  },
+  getBidHistory: {
+    // Bid cursors are sequence numbers, also accepted as typed on a command line
+    request: { auctionId: 'auctionId', cursor: 'integer|string?', limit: 'integer?', order: 'string?' },
+    response: { auctionId: 'auctionId', bids: 'array', nextCursor: 'integer|null', currency: 'string' }
+  },
+  getAuctionAudit: {
+    request: { auctionId: 'auctionId' },
+    response: { auctionId: 'auctionId', logKey: 'key', events: 'array' }
+  },
+  commitBid: {
+    signed: true,
+    request: { auctionId: 'auctionId', bidder: 'string', commitment: 'string' },
+    response: { success: 'boolean', commitDeadline: 'number', revealDeadline: 'number' }
+  },
+  revealBid: {
+    signed: true,
+    request: { auctionId: 'auctionId', bidder: 'string', amount: 'amount', nonce: 'string' },
+    response: { success: 'boolean', revealDeadline: 'number' }
+  },
+  // For operators only (the server's adminKeys). Rate limits are by method,
+  // as { rate, burst } or "<rate>/<burst>", see lib/rate-limit.js
+  getLimits: {
+    signed: true,
+    request: {},
+    response: LIMITS_RESPONSE
+  },
+  setLimits: {
+    signed: true,
+    request: { rateLimits: 'object|string?', maxOpenAuctionsPerSeller: 'integer?', maxClients: 'integer?' },
+    response: LIMITS_RESPONSE
+  }
+};
+
+const ERROR_RESPONSE = { error: 'string', code: 'string' };
+
+const isAbsent = (value) => value === undefined || value === null;
+
+// Returns what is wrong with `value` for the field type, or null
+const checkField = (name, spec, value) => {
+  const optional = spec.endsWith('?');
+  const types = spec.replace(/\?$/, '').split('|');
+  if (value === null && types.includes('null')) return null;
+  if (isAbsent(value)) return optional ? null : `${name} is required`;
+
+  const fits = types.some((type) => (type.endsWith('[]')
+    ? Array.isArray(value) && value.every(FIELD_TYPES[type.slice(0, -2)])
+    : FIELD_TYPES[type](value)));
+  return fits ? null : `${name} must be of type ${types.join(' or ')}`;
+};
+
+const checkFields = (fields, value) => {
+  for (const [name, spec] of Object.entries(fields)) {
+    const problem = checkField(name, spec, value[name]);
+    if (problem) return problem;
+  }
+  return null;
+};
+
+// The rejection for a client whose protocol version this server does not
+// speak, or null
+const checkClientVersion = (req) => {
+  const version = req.protocolVersion;
+  if (version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION) return null;
+  return {
+    error: `Incompatible client: it speaks auction protocol version ${isAbsent(version) ? 'none (it predates versioning)' : version}, ` +
+      `this server ${MIN_PROTOCOL_VERSION === PROTOCOL_VERSION ? PROTOCOL_VERSION : `${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}`}. Please upgrade the client.`,
+    code: ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_PROTOCOL_VERSION
+  };
+};
+
+// Decodes and checks a raw request in either codec. Returns { req } when it
+// fits the method's schema, otherwise { rejection } with the response to send
+// back. Handshakes check the version first: clients from before versioning
+// sent plain text or fields this schema no longer has, and should learn that
+// they need upgrading rather than that their request is malformed.
+const parseRequest = (method, reqRaw) => {
+  let req;
+  try {
+    req = decodeMessage(reqRaw);
+  } catch (error) {
+    req = undefined;
+  }
+  if (HANDSHAKE_METHODS.includes(method)) {
+    const versionRejection = checkClientVersion(FIELD_TYPES.object(req) ? req : {});
+    if (versionRejection) return { rejection: versionRejection };
+  }
+  if (!FIELD_TYPES.object(req)) {
+    return { rejection: { error: 'Request must be an object, in JSON or the binary codec', code: ERROR_CODES.MALFORMED_REQUEST } };
+  }
+
+  const { signed = false, request } = METHODS[method];
+  const fields = signed ? { ...request, ...SIGNED_FIELDS } : request;
+  const unknown = Object.keys(req).find((name) => !Object.prototype.hasOwnProperty.call(fields, name));
+  const problem = unknown ? `Unknown field: ${unknown}` : checkFields(fields, req);
+  if (problem) {
+    return { rejection: { error: `Invalid ${method} request: ${problem}`, code: ERROR_CODES.INVALID_REQUEST } };
+  }
+  return { req };
+};
+
+// What is wrong with a response, or null. Versions come first, so an older
+// server is reported as such rather than as a missing field. A server is
+// compatible when our version lies between its oldest and its newest.
+const checkResponse = (method, resp) => {
+  if (!FIELD_TYPES.object(resp)) return `${method} response is not an object`;
+  if (!isAbsent(resp.error)) {
+    const problem = checkFields(ERROR_RESPONSE, resp);
+    return problem ? `${method} error response: ${problem}` : null;
+  }
+
+  if (HANDSHAKE_METHODS.includes(method) &&
+    !(resp.minProtocolVersion <= PROTOCOL_VERSION && PROTOCOL_VERSION <= resp.protocolVersion)) {
+    const versions = isAbsent(resp.protocolVersion)
+      ? 'none (it predates versioning)'
+      : isAbsent(resp.minProtocolVersion) || resp.minProtocolVersion === resp.protocolVersion
+        ? resp.protocolVersion
+        : `${resp.minProtocolVersion} to ${resp.protocolVersion}`;
+    return `Incompatible server: it speaks auction protocol version ${versions}, this client ${PROTOCOL_VERSION}`;
+  }
+
+  const problem = checkFields(METHODS[method].response, resp);
+  return problem ? `${method} response: ${problem}` : null;
+};
+
+module.exports = {
+  ERROR_CODES,
+  METHODS,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_VERSION,
+  checkClientVersion,
+  checkResponse,
+  parseRequest
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const { METHODS } = require('./protocol');
+
+// Token buckets per remote peer and RPC method. A peer may send `burst`
+// requests of a method at once, and its bucket refills at `rate` requests per
+// second, so normal use never notices while a flood is turned away after the
+// first few. Methods without a limit of their own share the `default` one; a
+// rate of 0 lifts the limit.
+const DEFAULT_RATE_LIMITS = {
+  default: { rate: 20, burst: 40 },
+  openAuction: { rate: 0.2, burst: 5 },
+  placeBid: { rate: 5, burst: 20 },
+  commitBid: { rate: 2, burst: 10 },
+  revealBid: { rate: 2, burst: 10 },
+  closeAuction: { rate: 1, burst: 5 },
+  registerClient: { rate: 0.2, burst: 3 },
+  subscribe: { rate: 2, burst: 10 },
+  unsubscribe: { rate: 2, burst: 10 },
+  fetchNotifications: { rate: 5, burst: 20 }
+};
+
+// A full bucket is no different from a new one, so full buckets are dropped
+// this often, keeping peers that went away from piling up
+const SWEEP_INTERVAL = 60 * 1000;
+
+const parseLimit = (method, limit) => {
+  if (method !== 'default' && !Object.prototype.hasOwnProperty.call(METHODS, method)) throw new Error(`Cannot rate limit unknown method: ${method}`);
+  const [rate, burst = rate] = typeof limit === 'object' && limit !== null
+    ? [limit.rate, limit.burst]
+    : String(limit).split('/').map((part) => part.trim() === '' ? NaN : Number(part));
+  if (!Number.isFinite(rate) || rate < 0 || !Number.isFinite(burst) || (rate > 0 && burst < 1)) {
+    throw new Error(`Rate limit for ${method} must be <rate>/<burst>, with a burst of at least 1 unless the rate is 0`);
+  }
+  return { rate, burst };
+};
+
+// Rate limits as "placeBid=5/20,default=20/40", or as an object of
+// "<rate>/<burst>" strings or { rate, burst } objects by method. A limit
+// given as a single number is both the rate and the burst.
+const parseRateLimits = (value) => {
+  const entries = typeof value === 'object' && value !== null
+    ? Object.entries(value)
+    : String(value).split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+      const [method, limit] = entry.split('=');
+      if (!method || limit === undefined) throw new Error(`Rate limit must be <method>=<rate>/<burst>, got "${entry}"`);
+      return [method.trim(), limit];
+    });
+  return Object.fromEntries(entries.map(([method, limit]) => [method, parseLimit(method, limit)]));
+};
+
+class RateLimiter {
+  // limits: overrides of DEFAULT_RATE_LIMITS, in any form parseRateLimits takes
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_RATE_LIMITS };
+    this.buckets = new Map(); // `${peer}!${method}` -> { tokens, updatedAt }
+    this.rejected = {}; // method -> requests turned away since the start
+    this.set(limits);
+  }
+
+  start() {
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+  }
+
+  limitOf(method) {
+    return this.limits[method] || this.limits.default;
+  }
+
+  // Replaces the limits of the methods given and keeps the rest. Buckets
+  // already handed out keep their tokens, up to the new burst.
+  set(limits) {
+    Object.assign(this.limits, parseRateLimits(limits));
+  }
+
+  // Tops the bucket up for the time since it was last used
+  refill(bucket, { rate, burst }, now) {
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+    bucket.updatedAt = now;
+  }
+
+  // Spends one of the peer's tokens for the method. Returns 0 if the request
+  // may go ahead, otherwise the milliseconds until the next token.
+  take(peer, method, now = Date.now()) {
+    const limit = this.limitOf(method);
+    if (limit.rate === 0) return 0;
+
+    const key = `${peer}!${method}`;
+    let bucket = this.buckets.get(key);
+    if (bucket) {
+      this.refill(bucket, limit, now);
+    } else {
+      bucket = { tokens: limit.burst, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens--;
+      return 0;
+    }
+    this.rejected[method] = (this.rejected[method] || 0) + 1;
+    return Math.ceil((1 - bucket.tokens) / limit.rate * 1000);
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      const limit = this.limitOf(key.slice(key.indexOf('!') + 1));
+      this.refill(bucket, limit, now);
+      if (limit.rate === 0 || bucket.tokens >= limit.burst) this.buckets.delete(key);
+    }
+  }
+
+  // For operators: how many peers are being tracked and how many requests
+  // each method turned away
+  stats() {
+    const peers = new Set([...this.buckets.keys()].map((key) => key.slice(0, key.indexOf('!'))));
+    return { peers: peers.size, rejected: { ...this.rejected } };
+  }
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  RateLimiter,
+  parseRateLimits
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+const { decodeMessage, encodeMessage } = require('./codec');
+const { ProtocolError, RequestRejectedError, ServerUnreachableError } = require('./errors');
+const { checkResponse } = require('./protocol');
+
+// Sends a request over @hyperswarm/rpc in `codec` (JSON unless the server
+// agreed to another, see lib/codec.js) and returns the decoded response.
+// Network failures become a ServerUnreachableError, an { error } response a
+// RequestRejectedError, and anything that is not a response of `method` (see
+// lib/protocol.js) a ProtocolError.
+const sendRequest = async (rpc, publicKey, method, payload, { timeout, codec = 'json' } = {}) => {
+  let respRaw;
+  try {
+    respRaw = await rpc.request(publicKey, method, encodeMessage(codec, payload), { timeout });
+  } catch (error) {
+    throw new ServerUnreachableError(`${method} failed: ${error.message}`, { cause: error });
+  }
+
+  let resp;
+  try {
+    resp = decodeMessage(respRaw);
+  } catch (error) {
+    throw new ProtocolError(`${method} response could not be decoded`, { cause: error });
+  }
+
+  const problem = checkResponse(method, resp);
+  if (problem) throw new ProtocolError(problem);
+  if (resp.error) throw new RequestRejectedError(resp);
+  return resp;
+};
+
+module.exports = { sendRequest };
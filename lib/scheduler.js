@@ -0,0 +1,143 @@
+'use strict';
+
+const { AUCTION_TYPES, rulesOf } = require('./auction-types');
+const { formatAmount } = require('./money');
+const { DEFAULT_UPDATE_INTERVAL, floorReachedAt } = require('./price-schedule');
+
+// setTimeout caps out at ~24 days, so long deadlines wake up early and re-arm
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Owns every time-driven part of an auction: Dutch price ticks and the
+// scheduled closes of sealed and timed English auctions. Each wake-up takes
+// the auction's lock, just like an incoming bid. Everything it needs
+// is read back from the auction store, so restore() can rebuild all timers after a
+// restart and settle the auctions whose deadline passed while we were down.
+class AuctionScheduler {
+  constructor(server) {
+    this.server = server;
+    this.timers = new Map(); // auctionId -> { type: 'interval' | 'timeout', handle }
+  }
+
+  schedule(auctionDetails) {
+    const { auctionId, auctionType } = auctionDetails;
+
+    if (auctionType === 'dutch') {
+      this.startDutchTimer(auctionId, (auctionDetails.updateInterval || DEFAULT_UPDATE_INTERVAL) * 1000);
+    } else if (auctionType === 'sealed') {
+      this.startCloseTimer(auctionId, (auction) => auction.revealDeadline, 'reveal_window_ended');
+    } else if (auctionDetails.endTime) {
+      this.startCloseTimer(auctionId, (auction) => auction.endTime, 'end_time_reached');
+    }
+  }
+
+  async restore() {
+    let restored = 0;
+    for (const auction of await this.server.store.openAuctions()) {
+      // Nothing this server could run; one auction must not keep the rest
+      // from being restored
+      if (!AUCTION_TYPES.includes(auction.auctionType || 'english')) {
+        this.server.logger.error(`Not restoring timers for auction ${auction.auctionId}: unknown auction type "${auction.auctionType}"`);
+        continue;
+      }
+      // Timed types without an end time run until the seller closes them
+      if (rulesOf(auction).timed && !auction.endTime) continue;
+
+      this.schedule(auction);
+      restored++;
+    }
+    this.server.logger.log(`Restored timers for ${restored} open auction(s)`);
+  }
+
+  cancel(auctionId) {
+    const timer = this.timers.get(auctionId);
+    if (!timer) return;
+
+    if (timer.type === 'interval') clearInterval(timer.handle);
+    else clearTimeout(timer.handle);
+    this.timers.delete(auctionId);
+  }
+
+  stop() {
+    for (const auctionId of [...this.timers.keys()]) {
+      this.cancel(auctionId);
+    }
+  }
+
+  // Broadcasts the price every `interval` ms, and only when it has moved
+  // since the last broadcast, as stepped schedules hold a price for a while
+  startDutchTimer(auctionId, interval) {
+    this.cancel(auctionId);
+    this.server.logger.log(`\nStarting Dutch auction ${auctionId}`);
+    this.server.logger.log(`Price updates will be shown every ${interval / 1000} seconds...\n`);
+
+    const tick = () => this.server.locks.run(auctionId, async () => {
+      try {
+        const auctionDetails = await this.server.store.getAuction(auctionId);
+        if (!auctionDetails || auctionDetails.closed) {
+          this.server.logger.log(`Dutch auction ${auctionId} closed`);
+          this.cancel(auctionId);
+          return;
+        }
+
+        // The price is always derived from the persisted startTime, so a tick
+        // after a restart lands on the same price as an uninterrupted run
+        const now = Date.now();
+        const currentPrice = this.server.calculateDutchPrice(auctionDetails, now);
+        const reachedAt = floorReachedAt(auctionDetails);
+
+        if (now >= reachedAt) {
+          this.cancel(auctionId);
+          auctionDetails.currentPrice = auctionDetails.minimumPrice;
+          this.server.logger.log(`\nAuction ${auctionId} reached minimum price of ${formatAmount(auctionDetails.minimumPrice, auctionDetails.currency)}`);
+          await this.server.finalizeAuction(auctionDetails, 'minimum_price_reached', reachedAt);
+        } else if (currentPrice !== auctionDetails.currentPrice) {
+          auctionDetails.currentPrice = currentPrice;
+          await this.server.eventLog.append(auctionId, 'priceTick', { currentPrice });
+          await this.server.store.saveAuction(auctionDetails);
+          this.server.logger.log(`Auction ${auctionId} current price: ${formatAmount(currentPrice, auctionDetails.currency)}`);
+          await this.server.notifyClients('priceUpdate', this.server.formatForClients(auctionDetails, { 
+            auctionId, 
+            currentPrice 
+          }), { seller: auctionDetails.seller });
+        }
+      } catch (error) {
+        this.server.logger.error('Error in Dutch auction timer:', error);
+        this.cancel(auctionId);
+      }
+    });
+
+    this.timers.set(auctionId, { type: 'interval', handle: setInterval(tick, interval) });
+    tick();
+  }
+
+  // Closes an auction once deadlineOf(auction) has passed. The deadline is
+  // re-read from Hyperbee on every wake-up, so it may move later (soft close)
+  startCloseTimer(auctionId, deadlineOf, reason) {
+    this.cancel(auctionId);
+
+    const check = () => this.server.locks.run(auctionId, async () => {
+      try {
+        this.timers.delete(auctionId);
+        const auctionDetails = await this.server.store.getAuction(auctionId);
+        if (!auctionDetails || auctionDetails.closed) return;
+
+        const deadline = deadlineOf(auctionDetails);
+        const remaining = deadline - Date.now();
+        if (remaining > 0) {
+          this.timers.set(auctionId, { type: 'timeout', handle: setTimeout(check, Math.min(remaining, MAX_TIMER_DELAY)) });
+          return;
+        }
+
+        await this.server.finalizeAuction(auctionDetails, reason, deadline);
+        this.server.logger.log(`Auction ${auctionId} closed: ${reason}`);
+      } catch (error) {
+        this.server.logger.error('Error in auction close timer:', error);
+      }
+    });
+
+    this.server.logger.log(`\nScheduled close for auction ${auctionId}`);
+    check();
+  }
+}
+
+module.exports = { AuctionScheduler };
@@ -0,0 +1,192 @@
+'use strict';
+
+const { AUCTION_TYPES } = require('./auction-types');
+const { DEFAULT_CURRENCY, legacyToMinorUnits } = require('./money');
+const { defaultSubscriptions } = require('./subscriptions');
+
+// Bumped whenever existing records have to be moved or rewritten, together
+// with a new entry in MIGRATIONS that upgrades the previous version in place.
+// A new namespace that starts out empty needs no bump.
+const SCHEMA_VERSION = 2;
+
+const NAMESPACES = ['auctions', 'bids', 'indexes', 'events', 'clients', 'outbox', 'meta'];
+
+const isLegacyAuctionId = (key) => /^[0-9a-f]{32}$/.test(key);
+const isLegacyRegistryKey = (key) => /^[0-9a-f]{64}$/.test(key);
+
+// A batch on the root bee that can write to any namespace, so an update that
+// touches several of them still lands atomically
+class SchemaBatch {
+  constructor(batch) {
+    this.batch = batch;
+  }
+
+  put(sub, key, value) {
+    return this.batch.put(key, value, { keyEncoding: sub.keyEncoding });
+  }
+
+  del(sub, key) {
+    return this.batch.del(key, { keyEncoding: sub.keyEncoding });
+  }
+
+  flush() {
+    return this.batch.flush();
+  }
+}
+
+// Version 0 took any auction type a client sent (e.g. "dut"). No rules exist
+// to run or settle such an auction, so open ones are closed unsold, with the
+// reason recorded, and keep their bids for the record.
+const closeUnknownType = (auction, closedAt) => {
+  if (auction.closed || AUCTION_TYPES.includes(auction.auctionType || 'english')) return auction;
+  return {
+    ...auction,
+    closed: true,
+    closedAt,
+    closeReason: 'unknown_auction_type',
+    outcome: 'not_settled',
+    winner: null,
+    winnerKey: null,
+    winningBid: null,
+    clearingPrice: null,
+    finalPrice: null,
+    allocations: [],
+    unitsSold: 0
+  };
+};
+
+// Version 0 kept everything in one flat keyspace: auctions under their ID with
+// every bid embedded, the original client registry under the server's public
+// key, and the client!, outbox!, idx! and meta! entries added later. Bids move
+// to their own namespace keyed by auction and sequence, and the indexes are
+// left for AuctionStore.ensureIndexes() to rebuild.
+const migrateFlatLayout = async (schema, batch) => {
+  const legacy = [];
+  for await (const entry of schema.hbee.createReadStream()) {
+    // Keys with a separator already belong to a namespace
+    if (!entry.key.includes('\x00')) legacy.push(entry);
+  }
+
+  const clients = new Map();
+  const registry = new Set();
+  const now = Date.now();
+  let auctions = 0;
+  let closed = 0;
+
+  for (const { key, value } of legacy) {
+    if (isLegacyAuctionId(key) && value && value.auctionId === key) {
+      const { bids = [], ...stored } = value;
+      const auction = closeUnknownType(stored, now);
+      if (auction !== stored) {
+        schema.logger.log(`Closing auction ${key}: unknown auction type "${stored.auctionType}"`);
+        closed++;
+      }
+      await batch.put(schema.auctions, key, { ...auction, bidCount: bids.length });
+      for (let i = 0; i < bids.length; i++) {
+        await batch.put(schema.bids, `${key}!${String(i + 1).padStart(8, '0')}`, { ...bids[i], seq: i + 1 });
+      }
+      auctions++;
+    } else if (isLegacyRegistryKey(key) && value && Array.isArray(value.clients)) {
+      for (const clientKey of value.clients) registry.add(clientKey);
+    } else if (key.startsWith('client!')) {
+      clients.set(value.clientKey, value);
+    } else if (key.startsWith('outbox!')) {
+      await batch.put(schema.outbox, key.slice('outbox!'.length), value);
+    }
+    await batch.del(schema.hbee, key);
+  }
+
+  // Clients from the original registry never got a record of their own
+  for (const clientKey of registry) {
+    if (clients.has(clientKey)) continue;
+    clients.set(clientKey, {
+      clientKey,
+      registeredAt: now,
+      lastSeen: now,
+      failures: 0,
+      nextSeq: 1,
+      ackedSeq: 0,
+      subscriptions: defaultSubscriptions()
+    });
+  }
+  for (const [clientKey, client] of clients) {
+    await batch.put(schema.clients, clientKey, client);
+  }
+
+  schema.logger.log(`Migrated ${auctions} auction(s) and ${clients.size} client(s) to namespaced storage` +
+    (closed > 0 ? `, closing ${closed} of an unknown type` : ''));
+};
+
+// Version 1 kept amounts as plain numbers with no currency. Every auction and
+// bid moves to integer minor units of the default currency (see
+// lib/money.js). The request amount an auction was opened with is dropped, as
+// startPrice holds it. Auctions that already have events are flagged so the
+// event log can mark where its plain amounts end (AuctionEventLog.ensureBaseline).
+const migrateToMinorUnits = async (schema, batch) => {
+  let auctions = 0;
+  for await (const { key, value } of schema.auctions.createReadStream()) {
+    const { price, ...auction } = legacyToMinorUnits(value);
+    await batch.put(schema.auctions, key, { ...auction, currency: DEFAULT_CURRENCY, minorUnitsPending: true });
+    auctions++;
+  }
+
+  let bids = 0;
+  for await (const { key, value } of schema.bids.createReadStream()) {
+    await batch.put(schema.bids, key, legacyToMinorUnits(value));
+    bids++;
+  }
+
+  schema.logger.log(`Converted ${auctions} auction(s) and ${bids} bid(s) to ${DEFAULT_CURRENCY} minor units`);
+};
+
+const MIGRATIONS = [
+  { version: 1, up: migrateFlatLayout },
+  { version: 2, up: migrateToMinorUnits }
+];
+
+// Splits the server's Hyperbee into one sub-database per kind of record:
+//   auctions  <auctionId>                     auction record, without its bids
+//   bids      <auctionId>!<seq>               one entry per bid, in arrival order
+//   indexes   <index>!...!<auctionId>         secondary indexes (see AuctionStore)
+//   events    <auctionId>!<seq>               position of each event in the event log
+//   clients   <clientKey>                     notification client records
+//   outbox    <clientKey>!<seq>               queued and retained notifications
+//   meta      schemaVersion, indexVersion, eventLogLength, keySeed
+class Schema {
+  constructor(hbee, { logger = console } = {}) {
+    this.hbee = hbee;
+    this.logger = logger;
+    for (const name of NAMESPACES) {
+      this[name] = hbee.sub(name);
+    }
+  }
+
+  batch() {
+    return new SchemaBatch(this.hbee.batch());
+  }
+
+  async version() {
+    return (await this.meta.get('schemaVersion'))?.value || 0;
+  }
+
+  // Runs every migration newer than the stored version, each in one batch
+  // together with the version bump, so an interrupted upgrade starts over
+  async migrate() {
+    const current = await this.version();
+    if (current > SCHEMA_VERSION) {
+      throw new Error(`Database schema version ${current} is newer than this server supports (${SCHEMA_VERSION})`);
+    }
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= current) continue;
+
+      this.logger.log(`Migrating database to schema version ${migration.version}...`);
+      const batch = this.batch();
+      await migration.up(this, batch);
+      await batch.put(this.meta, 'schemaVersion', migration.version);
+      await batch.flush();
+    }
+  }
+}
+
+module.exports = { Schema, SCHEMA_VERSION };
@@ -0,0 +1,119 @@
+'use strict';
+
+// Settlement decides who wins a closed auction and what they pay. It only
+// looks at the collected bids, so any bidding format (english, dutch, sealed)
+// can be combined with any rule here.
+
+// Best amount first (the highest, or the lowest for auctions where the
+// lowest offer wins), earliest bid first on ties
+const rankBids = (bids, order = 'highest') => {
+  const sign = order === 'lowest' ? -1 : 1;
+  return [...bids].sort((a, b) => sign * (b.amount - a.amount) || a.timestamp - b.timestamp);
+};
+
+// Amounts are per unit. Fills the auction's units from the ranked bids down,
+// so the last winner may get fewer units than they asked for. Bids below the
+// reserve never win.
+const allocateUnits = (ranked, quantity = 1, reservePrice = 0) => {
+  const allocations = [];
+  let remaining = quantity;
+  for (const bid of ranked) {
+    if (remaining === 0 || bid.amount < reservePrice) break;
+    const units = Math.min(bid.quantity || 1, remaining);
+    allocations.push({ bid, quantity: units });
+    remaining -= units;
+  }
+  return allocations;
+};
+
+// The highest bid that missed out on a unit: the unfilled part of a partial
+// winner, or the first bid below the winners
+const highestLosingBid = (ranked, allocations) => {
+  const last = allocations[allocations.length - 1];
+  if (last && last.quantity < (last.bid.quantity || 1)) return last.bid;
+  return ranked[allocations.length] || null;
+};
+
+// Each rule returns the price per unit of every allocation, in order
+const payOwnBid = (ranked, auction, allocations) => allocations.map(({ bid }) => bid.amount);
+
+const SETTLEMENT_RULES = {
+  // Winner pays their own bid
+  'first-price': payOwnBid,
+
+  // Vickrey: winner pays the runner-up's bid, or the starting price when
+  // nobody else bid, but never less than the reserve. With several units,
+  // every winner pays the highest losing bid.
+  'second-price': (ranked, auction, allocations) => {
+    const losing = highestLosingBid(ranked, allocations);
+    const price = Math.max(losing ? losing.amount : auction.startPrice, auction.reservePrice || 0);
+    return allocations.map(() => price);
+  },
+
+  // Every winner pays the lowest winning bid
+  'uniform': (ranked, auction, allocations) => {
+    return allocations.map(() => allocations[allocations.length - 1].bid.amount);
+  },
+
+  // Pay-as-bid, the multi-unit name for first-price
+  'discriminatory': payOwnBid
+};
+
+const DEFAULT_SETTLEMENT_RULE = 'first-price';
+
+const isSettlementRule = (rule) => Object.prototype.hasOwnProperty.call(SETTLEMENT_RULES, rule);
+
+// `order` is the auction type's bid order, see lib/auction-types.js
+const settleAuction = (auction, { order = 'highest' } = {}) => {
+  const rule = auction.settlementRule || DEFAULT_SETTLEMENT_RULE;
+  if (!isSettlementRule(rule)) {
+    throw new Error(`Unknown settlement rule: ${rule}`);
+  }
+
+  // outcome is 'sold', 'no_bids' or 'reserve_not_met'; highestBid is
+  // reported even when it did not win (the lowest offer where that wins).
+  // winner and winningBid describe the top allocation; clearingPrice is the
+  // unit price of the last one.
+  const ranked = rankBids(auction.bids, order);
+  const highestBid = ranked[0] || null;
+  const unsold = { rule, winner: null, winningBid: null, clearingPrice: null, highestBid, allocations: [], unitsSold: 0 };
+  if (!highestBid) {
+    return { ...unsold, outcome: 'no_bids' };
+  }
+  if (auction.reservePrice && highestBid.amount < auction.reservePrice) {
+    return { ...unsold, outcome: 'reserve_not_met' };
+  }
+
+  const allocations = allocateUnits(ranked, auction.quantity || 1, auction.reservePrice || 0);
+
+  // Buy-it-now sells at the advertised price whatever the rule
+  const prices = auction.closeReason === 'buy_now'
+    ? [highestBid.amount]
+    : SETTLEMENT_RULES[rule](ranked, auction, allocations);
+
+  const settled = allocations.map(({ bid, quantity }, i) => ({
+    bidder: bid.bidder,
+    bidderKey: bid.bidderKey,
+    quantity,
+    price: prices[i]
+  }));
+  return {
+    rule,
+    outcome: 'sold',
+    winner: highestBid.bidder,
+    winningBid: highestBid,
+    clearingPrice: prices[prices.length - 1],
+    highestBid,
+    allocations: settled,
+    unitsSold: settled.reduce((sum, { quantity }) => sum + quantity, 0)
+  };
+};
+
+module.exports = {
+  SETTLEMENT_RULES,
+  DEFAULT_SETTLEMENT_RULE,
+  allocateUnits,
+  isSettlementRule,
+  rankBids,
+  settleAuction
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+// What a registered client wants to hear about. New clients start on the
+// firehose (`all`) so older clients keep working without ever subscribing.
+const defaultSubscriptions = () => ({
+  all: true,
+  newAuctions: false,
+  auctionIds: [],
+  sellers: [],
+  bidders: [] // identity keys whose targeted events (e.g. outbid) we receive
+});
+
+const TOPIC_LISTS = ['auctionIds', 'sellers', 'bidders'];
+
+const addSubscriptions = (current, req) => {
+  const next = { ...defaultSubscriptions(), ...current };
+  for (const list of TOPIC_LISTS) {
+    next[list] = [...new Set([...next[list], ...(req[list] || [])])];
+  }
+  if (req.newAuctions) next.newAuctions = true;
+
+  // Subscribing to anything specific switches the firehose off, unless the
+  // client explicitly asked for everything
+  next.all = req.all === true;
+  return next;
+};
+
+const removeSubscriptions = (current, req) => {
+  const next = { ...defaultSubscriptions(), ...current };
+
+  // Dropping everything still keeps the client's own outbid alerts
+  if (req.all) return { ...defaultSubscriptions(), all: false, bidders: next.bidders };
+
+  for (const list of TOPIC_LISTS) {
+    next[list] = next[list].filter((topic) => !(req[list] || []).includes(topic));
+  }
+  if (req.newAuctions) next.newAuctions = false;
+  return next;
+};
+
+// route.seller is the auction's seller key; route.bidderKey marks an event
+// meant only for that bidder
+const matchesSubscriptions = (subscriptions = defaultSubscriptions(), type, data, route = {}) => {
+  if (route.bidderKey) return subscriptions.bidders.includes(route.bidderKey);
+  if (subscriptions.all) return true;
+  if (type === 'newAuction' && subscriptions.newAuctions) return true;
+  if (subscriptions.auctionIds.includes(data.auctionId)) return true;
+  return Boolean(route.seller) && subscriptions.sellers.includes(route.seller);
+};
+
+module.exports = {
+  defaultSubscriptions,
+  addSubscriptions,
+  removeSubscriptions,
+  matchesSubscriptions
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+// Measures what notifications cost on the wire: the size of each one in JSON
+// and in the binary codec (see lib/codec.js), the delta sent for a new bid
+// against the whole auction document, and how fast notifyClients fans events
+// out to many registered clients. Fan-out runs through the real Notifier and
+// its Hyperbee outbox; only the network hop is replaced by a counter that
+// decodes each payload like a client would, so the timings show encoding and
+// storage costs, not DHT latency.
+//
+// Usage: node scripts/bench-notifications.js [clients] [events]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Hypercore = require('hypercore');
+const Hyperbee = require('hyperbee');
+const { AuctionServer } = require('../index');
+const { decodeMessage, encodeMessage } = require('../lib/codec');
+const { identityFromSeed, signRequest } = require('../lib/identity');
+const { KeyedLock } = require('../lib/locks');
+const { Notifier } = require('../lib/notifier');
+const { DEFAULT_RATE_LIMITS } = require('../lib/rate-limit');
+const { Schema } = require('../lib/schema');
+
+const silentLogger = { log: () => {}, error: console.error };
+
+const randomKey = () => crypto.randomBytes(32).toString('hex');
+const newIdentity = () => identityFromSeed(crypto.randomBytes(32));
+
+// Every request comes from this one script, so nothing is rate limited
+const NO_RATE_LIMITS = Object.fromEntries(Object.keys(DEFAULT_RATE_LIMITS).map((method) => [method, 0]));
+
+// The notifications a server sends for a timed English auction that takes
+// `bids` bids from different bidders and is then closed by its seller, as
+// its handlers produce them on a throwaway local store. The last one of each
+// type is kept. priceUpdate, which only Dutch timers send, is shaped from
+// the same auction the way the scheduler shapes it.
+const sampleNotifications = async (bids) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auction-bench-'));
+  const server = new AuctionServer({
+    storage: path.join(dir, 'rpc-server'),
+    eventLog: path.join(dir, 'event-log'),
+    logger: silentLogger,
+    rateLimits: NO_RATE_LIMITS
+  });
+  await server.openStorage();
+  server.setupHandlers();
+
+  const sent = {};
+  server.notifyClients = async (type, data) => { sent[type] = data; };
+  const peer = { stream: { remotePublicKey: crypto.randomBytes(32) } };
+  const request = async (method, payload, identity) => {
+    const reqRaw = Buffer.from(JSON.stringify(signRequest(method, payload, identity)), 'utf-8');
+    const resp = decodeMessage(await server.handlers[method](reqRaw, peer));
+    if (resp.error) throw new Error(`${method}: ${resp.error}`);
+    return resp;
+  };
+
+  const seller = newIdentity();
+  const { auctionId } = await request('openAuction', {
+    item: 'Vintage Guitar',
+    price: '300',
+    currency: 'USD',
+    duration: 2 * 60 * 60,
+    minIncrement: '5'
+  }, seller);
+  let amount = 300;
+  for (let i = 0; i < bids; i++) {
+    amount += 5 + i * 0.25;
+    await request('placeBid', { auctionId, bidder: `bidder-${i}`, amount: amount.toFixed(2) }, newIdentity());
+  }
+
+  // What every update would cost if it carried the whole auction
+  const auction = await server.store.getAuction(auctionId);
+  const auctionDocument = { auctionId, auction: server.publicAuctionView(auction) };
+  const priceUpdate = server.formatForClients(auction, { auctionId, currentPrice: auction.currentPrice });
+
+  await request('closeAuction', { auctionId }, seller);
+  await server.closeStorage();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const { newAuction, newBid, outbid, auctionClosed } = sent;
+  return { newAuction, newBid, outbid, priceUpdate, auctionClosed, auctionDocument };
+};
+
+const sizeOf = (codec, data) => encodeMessage(codec, { ...data, seq: 1234 }).length;
+
+const printSizes = (notifications) => {
+  console.log('\nPayload size per notification (bytes, with its sequence number):');
+  console.log(`  ${'type'.padEnd(18)}${'json'.padStart(8)}${'binary'.padStart(8)}  saved`);
+  for (const [type, data] of Object.entries(notifications)) {
+    const json = sizeOf('json', data);
+    const binary = sizeOf('binary', data);
+    console.log(`  ${type.padEnd(18)}${String(json).padStart(8)}${String(binary).padStart(8)}  ${Math.round((1 - binary / json) * 100)}%`);
+  }
+};
+
+const printCodecSpeed = (data, rounds = 20000) => {
+  console.log(`\nEncoding and decoding newBid ${rounds} times:`);
+  for (const codec of ['json', 'binary']) {
+    const started = process.hrtime.bigint();
+    for (let i = 0; i < rounds; i++) decodeMessage(encodeMessage(codec, { ...data, seq: i }));
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    console.log(`  ${codec.padEnd(8)}${Math.round(rounds / (ms / 1000))} round trips/s`);
+  }
+};
+
+// Registers `clients` clients with a fresh Notifier and queues `events`
+// notifications for all of them, waiting until every one is delivered
+const runFanOut = async (codec, clients, events, type, data) => {
+  const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'auction-bench-'));
+  const hbee = new Hyperbee(new Hypercore(storage), { keyEncoding: 'utf-8', valueEncoding: 'json' });
+  await hbee.ready();
+
+  let bytes = 0;
+  let delivered = 0;
+  const server = {
+    schema: new Schema(hbee, { logger: silentLogger }),
+    locks: new KeyedLock(),
+    logger: silentLogger,
+    rpc: {
+      request: async (publicKey, method, payload) => {
+        bytes += payload.length;
+        delivered++;
+        decodeMessage(payload);
+        return encodeMessage(codec, { received: true });
+      }
+    }
+  };
+  const notifier = new Notifier(server);
+  for (let i = 0; i < clients; i++) await notifier.register(randomKey(), codec);
+  // Registering starts a delivery round per client; let them finish first
+  while (notifier.deliveries.size > 0) await new Promise((resolve) => setImmediate(resolve));
+
+  const started = process.hrtime.bigint();
+  for (let i = 0; i < events; i++) await notifier.enqueue(type, data);
+  while (notifier.deliveries.size > 0 || notifier.retryTimers.size > 0) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+
+  notifier.stop();
+  await hbee.close();
+  fs.rmSync(storage, { recursive: true, force: true });
+  return { bytes, delivered, ms };
+};
+
+const main = async () => {
+  const [clientsArg = '200', eventsArg = '10'] = process.argv.slice(2);
+  const clients = parseInt(clientsArg, 10);
+  const events = parseInt(eventsArg, 10);
+
+  const notifications = await sampleNotifications(25);
+
+  printSizes(notifications);
+  printCodecSpeed(notifications.newBid);
+
+  console.log(`\nFan-out of ${events} bid notifications to ${clients} clients:`);
+  const runs = [
+    ['json, whole auction', 'json', notifications.auctionDocument],
+    ['json, delta', 'json', notifications.newBid],
+    ['binary, delta', 'binary', notifications.newBid]
+  ];
+  let baseline = null;
+  for (const [label, codec, data] of runs) {
+    const { bytes, delivered, ms } = await runFanOut(codec, clients, events, 'newBid', data);
+    baseline = baseline || bytes;
+    console.log(`  ${label.padEnd(22)}${String(delivered).padStart(6)} deliveries in ${Math.round(ms)}ms ` +
+      `(${Math.round(delivered / (ms / 1000))}/s), ${(bytes / 1024).toFixed(1)} KiB sent (${Math.round(bytes / baseline * 100)}%)`);
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
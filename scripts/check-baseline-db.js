@@ -0,0 +1,68 @@
+'use strict';
+
+// Starts the server against a copy of a database written by an older version
+// (the committed db/rpc-server by default), on a throwaway local DHT, and
+// checks that it comes up: the schema migrates, the indexes rebuild, timers
+// are restored and every auction still open is one the server can run. The
+// database itself is never touched.
+//
+// Usage: node scripts/check-baseline-db.js [storage]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createTestnet = require('hyperdht/testnet');
+const { AuctionServer } = require('../index');
+const { AUCTION_TYPES } = require('../lib/auction-types');
+
+// Failures are reported at the end; what the server logs on the way (such as
+// clients of the old database that cannot be reached) is not one
+const silentLogger = { log: () => {}, error: () => {} };
+
+const main = async () => {
+  const [storageArg = path.join(__dirname, '..', 'db', 'rpc-server')] = process.argv.slice(2);
+  if (!fs.existsSync(storageArg)) {
+    console.error(`No database at ${storageArg}`);
+    process.exit(1);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auction-check-'));
+  const storage = path.join(workDir, 'rpc-server');
+  fs.cpSync(storageArg, storage, { recursive: true });
+
+  const testnet = await createTestnet(3, { host: '127.0.0.1' });
+  const server = new AuctionServer({
+    storage,
+    eventLog: path.join(workDir, 'event-log'),
+    bootstrap: testnet.bootstrap,
+    port: 0,
+    logger: silentLogger
+  });
+
+  const failures = [];
+  try {
+    await server.init();
+    const open = await server.store.openAuctions();
+    const unknown = open.filter((auction) => !AUCTION_TYPES.includes(auction.auctionType || 'english'));
+    unknown.forEach((auction) => failures.push(`open auction ${auction.auctionId} has unknown type "${auction.auctionType}"`));
+    const closed = await server.store.countAuctions('closed');
+    console.log(`Server started on ${storageArg}: ${open.length} open and ${closed} closed auction(s), schema version ${await server.schema.version()}`);
+    await server.close();
+  } catch (error) {
+    failures.push(`server failed to start: ${error.stack || error.message}`);
+  }
+
+  await testnet.destroy();
+  fs.rmSync(workDir, { recursive: true, force: true });
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error('FAIL:', failure));
+    process.exit(1);
+  }
+  console.log('OK: the database upgrades and the server starts on it');
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+// Downloads the signed event log of one auction into a JSON file that can be
+// handed to anyone and checked offline with scripts/verify-audit.js.
+//
+// Usage: node scripts/export-audit.js <server-public-key> <auction-id> [output-file]
+
+const fs = require('fs');
+const RPC = require('@hyperswarm/rpc');
+const DHT = require('hyperdht');
+const { loadConfig } = require('../lib/config');
+const { sendRequest } = require('../lib/request');
+
+const main = async () => {
+  const config = loadConfig('client');
+  const [serverKeyHex, auctionId, outputFile = `audit-${auctionId}.json`] = config.args;
+  if (!serverKeyHex || !auctionId) {
+    console.error('Usage: node scripts/export-audit.js <server-public-key> <auction-id> [output-file]');
+    process.exit(1);
+  }
+
+  const dht = new DHT({ bootstrap: config.bootstrap });
+  await dht.ready();
+  const rpc = new RPC({ dht });
+
+  try {
+    const audit = await sendRequest(rpc, Buffer.from(serverKeyHex, 'hex'), 'getAuctionAudit', { auctionId }, { timeout: 30000 });
+
+    fs.writeFileSync(outputFile, JSON.stringify({ ...audit, exportedAt: Date.now() }, null, 2));
+    console.log(`Exported ${audit.events.length} events of auction ${auctionId} to ${outputFile}`);
+    console.log('Event log key:', audit.logKey);
+  } finally {
+    await rpc.destroy();
+    await dht.destroy();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
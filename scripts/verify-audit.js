@@ -0,0 +1,57 @@
+'use strict';
+
+// Checks an auction audit exported with scripts/export-audit.js without
+// contacting the server: hashes, signatures, commitments and the winner,
+// recomputed by replaying the events. Exits with 1 if anything does not add up.
+//
+// Usage: node scripts/verify-audit.js <audit-file> [expected-log-key]
+
+const fs = require('fs');
+const { verifyAudit } = require('../lib/audit');
+const { formatAmount } = require('../lib/money');
+
+const main = () => {
+  const [auditFile, expectedLogKey] = process.argv.slice(2);
+  if (!auditFile) {
+    console.error('Usage: node scripts/verify-audit.js <audit-file> [expected-log-key]');
+    process.exit(1);
+  }
+
+  const audit = JSON.parse(fs.readFileSync(auditFile, 'utf-8'));
+  const { errors, auction } = verifyAudit(audit);
+
+  // The export names its own key, so pin it when the server's key is known
+  if (expectedLogKey && audit.logKey !== expectedLogKey) {
+    errors.push(`Signed by ${audit.logKey}, expected ${expectedLogKey}`);
+  }
+
+  console.log(`Auction ${audit.auctionId}: ${audit.events.length} events signed by ${audit.logKey}`);
+  if (auction) {
+    const money = (amount) => `${formatAmount(amount, auction.currency)} ${auction.currency}`;
+    console.log(`- Item: ${auction.item}, ${auction.auctionType} auction`);
+    console.log(`- Bids: ${auction.bids.length}`);
+    if (auction.closed) {
+      console.log(`- Closed at ${new Date(auction.closedAt).toLocaleString()} (${auction.closeReason})`);
+      console.log(`- Winner: ${auction.winner || 'none'}${auction.winnerKey ? ` (${auction.winnerKey})` : ''}`);
+      if (auction.outcome === 'reserve_not_met') {
+        console.log(`- Not sold: the highest bid of ${money(auction.highestBid.amount)} is below the reserve of ${money(auction.reservePrice)}`);
+      } else {
+        console.log(`- Clearing price: ${money(auction.clearingPrice)} (${auction.settlementRule})`);
+        if (auction.quantity > 1) {
+          console.log(`- Units sold: ${auction.unitsSold} of ${auction.quantity}`);
+          auction.allocations.forEach(({ bidder, quantity, price }) => console.log(`  ${bidder}: ${quantity} at ${money(price)}`));
+        }
+      }
+    } else {
+      console.log('- Still open');
+    }
+  }
+
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error('FAIL:', error));
+    process.exit(1);
+  }
+  console.log('OK: every event is intact and the outcome matches the bids');
+};
+
+main();
@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { newIdentity, startServer } = require('./helpers');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a bid history cursor that is not a sequence number is refused', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const seller = newIdentity();
+  const bidder = newIdentity();
+  const { auctionId } = await request('openAuction', { item: 'Lamp', price: '1' }, seller);
+  for (const amount of ['2', '3', '4']) {
+    await request('placeBid', { auctionId, bidder: 'b', amount }, bidder);
+  }
+
+  const first = await request('getBidHistory', { auctionId, limit: 2 });
+  assert.deepStrictEqual(first.bids.map((bid) => bid.amount), ['2.00', '3.00']);
+  const second = await request('getBidHistory', { auctionId, limit: 2, cursor: String(first.nextCursor) });
+  assert.deepStrictEqual(second.bids.map((bid) => bid.amount), ['4.00']);
+
+  for (const cursor of ['abc', '-1', '1.5']) {
+    const resp = await request('getBidHistory', { auctionId, cursor });
+    assert.strictEqual(resp.code, 'INVALID_REQUEST', cursor);
+  }
+});
+
+test('a listing cursor from another query is refused', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const seller = newIdentity();
+  await request('openAuction', { item: 'Lamp', price: '1' }, seller);
+  await request('openAuction', { item: 'Vase', price: '1' }, seller);
+
+  const { nextCursor } = await request('listAuctions', { limit: 1 });
+  const resp = await request('listAuctions', { status: 'open', limit: 1, cursor: nextCursor });
+  assert.strictEqual(resp.code, 'INVALID_REQUEST');
+});
+
+test('listing pages are full until the last, which has no next cursor', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+
+  // Listed by seller, newest first; the status filter is applied to each
+  // record, so the closed ones are skipped along the way
+  const seller = newIdentity();
+  const opened = [];
+  for (const item of ['a', 'b', 'c', 'd', 'e']) {
+    opened.push((await request('openAuction', { item, price: '1' }, seller)).auctionId);
+    await sleep(2); // distinct start times keep the order fixed
+  }
+  for (const auctionId of [opened[0], opened[1], opened[3]]) {
+    await request('closeAuction', { auctionId }, seller);
+  }
+
+  const pages = [];
+  let cursor;
+  do {
+    const page = await request('listAuctions', { seller: seller.publicKey, status: 'open', limit: 1, cursor });
+    pages.push(page.auctions.map((auction) => auction.item));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepStrictEqual(pages, [['e'], ['c']]);
+});
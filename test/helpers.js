@@ -0,0 +1,55 @@
+'use strict';
+
+// An AuctionServer on storage in a temporary directory and no network: its
+// handlers are called directly with encoded requests, as the RPC server
+// would call them.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuctionServer } = require('../index');
+const { identityFromSeed, signRequest } = require('../lib/identity');
+const { DEFAULT_RATE_LIMITS } = require('../lib/rate-limit');
+
+const silentLogger = { log: () => {}, error: () => {} };
+
+const newIdentity = () => identityFromSeed(crypto.randomBytes(32));
+
+// Every request comes from one peer, so the rate limits are lifted unless
+// a test sets its own
+const NO_RATE_LIMITS = Object.fromEntries(Object.keys(DEFAULT_RATE_LIMITS).map((method) => [method, 0]));
+
+const startServer = async (options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auction-test-'));
+  const server = new AuctionServer({
+    storage: path.join(dir, 'rpc-server'),
+    eventLog: path.join(dir, 'event-log'),
+    logger: silentLogger,
+    rateLimits: NO_RATE_LIMITS,
+    ...options
+  });
+  await server.openStorage();
+  server.setupHandlers();
+
+  const peer = { stream: { remotePublicKey: crypto.randomBytes(32) } };
+
+  // The raw response of a method to a raw request payload
+  const send = (method, reqRaw) => server.handlers[method](reqRaw, peer);
+
+  // The decoded response to a JSON request, signed by `identity` if given
+  const request = async (method, payload, identity) => {
+    const body = identity ? signRequest(method, payload, identity) : payload;
+    const respRaw = await send(method, Buffer.from(JSON.stringify(body), 'utf-8'));
+    return JSON.parse(respRaw.toString('utf-8'));
+  };
+
+  const close = async () => {
+    await server.closeStorage();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { server, send, request, close };
+};
+
+module.exports = { newIdentity, startServer };
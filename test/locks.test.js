@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { KeyedLock } = require('../lib/locks');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('sections on one key run one at a time, in the order they came', async () => {
+  const lock = new KeyedLock();
+  const log = [];
+  let running = 0;
+  await Promise.all([1, 2, 3, 4, 5].map((n) => lock.run('auction', async () => {
+    running++;
+    assert.strictEqual(running, 1);
+    log.push(n);
+    await tick();
+    running--;
+  })));
+  assert.deepStrictEqual(log, [1, 2, 3, 4, 5]);
+});
+
+test('sections on different keys do not wait for each other', async () => {
+  const lock = new KeyedLock();
+  let releaseFirst;
+  const first = lock.run('a', () => new Promise((resolve) => { releaseFirst = resolve; }));
+  assert.strictEqual(await lock.run('b', async () => 'done'), 'done');
+  releaseFirst();
+  await first;
+});
+
+test('a section that throws does not hold up the next one', async () => {
+  const lock = new KeyedLock();
+  const failed = lock.run('auction', async () => { throw new Error('boom'); });
+  const next = lock.run('auction', async () => 'next');
+  await assert.rejects(failed, /boom/);
+  assert.strictEqual(await next, 'next');
+});
+
+test('idle() settles once the sections queued so far have finished', async () => {
+  const lock = new KeyedLock();
+  let finished = 0;
+  for (let i = 0; i < 3; i++) lock.run('auction', async () => { await tick(); finished++; });
+  await lock.idle();
+  assert.strictEqual(finished, 3);
+  assert.strictEqual(lock.tails.size, 0);
+});
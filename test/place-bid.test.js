@@ -0,0 +1,55 @@
+'use strict';
+
+// Concurrent placeBid and closeAuction requests on one auction are applied
+// one at a time.
+
+const test = require('node:test');
+const assert = require('assert');
+const { newIdentity, startServer } = require('./helpers');
+
+test('parallel bids on one auction are each stored once, in increasing order', async (t) => {
+  const { server, request, close } = await startServer();
+  t.after(close);
+
+  const bidders = Array.from({ length: 10 }, newIdentity);
+  const { auctionId } = await request('openAuction', { item: 'Lamp', price: '1' }, bidders[0]);
+
+  // Shuffled, so that many bids race against higher ones
+  const amounts = Array.from({ length: 100 }, (_, i) => i + 2).sort(() => Math.random() - 0.5);
+  const results = await Promise.all(amounts.map((amount, i) => request('placeBid', {
+    auctionId,
+    bidder: `bidder-${i % bidders.length}`,
+    amount: String(amount)
+  }, bidders[i % bidders.length]).then((resp) => ({ amount, resp }))));
+
+  const accepted = results.filter(({ resp }) => resp.success).map(({ amount }) => amount * 100);
+  const stored = (await server.store.getAuction(auctionId)).bids.map((bid) => bid.amount);
+
+  assert.ok(accepted.length > 0);
+  assert.deepStrictEqual([...stored].sort((a, b) => a - b), [...accepted].sort((a, b) => a - b));
+  assert.ok(stored.every((amount, i) => i === 0 || amount > stored[i - 1]), 'stored bids are not increasing');
+
+  // Every other bid was turned away for being too low, not lost
+  const rejected = results.filter(({ resp }) => !resp.success);
+  assert.ok(rejected.every(({ resp }) => resp.code === 'BID_TOO_LOW'), JSON.stringify(rejected.find(({ resp }) => resp.code !== 'BID_TOO_LOW')));
+});
+
+test('no bid is taken after a close that raced with it', async (t) => {
+  const { server, request, close } = await startServer();
+  t.after(close);
+
+  const seller = newIdentity();
+  const bidder = newIdentity();
+  const { auctionId } = await request('openAuction', { item: 'Vase', price: '1' }, seller);
+
+  const bids = Array.from({ length: 20 }, (_, i) => request('placeBid', { auctionId, bidder: 'b', amount: String(i + 2) }, bidder));
+  const closed = request('closeAuction', { auctionId }, seller);
+  const [closeResp, ...bidResps] = await Promise.all([closed, ...bids]);
+
+  assert.strictEqual(closeResp.success, true);
+  const auction = await server.store.getAuction(auctionId);
+  const accepted = bidResps.filter((resp) => resp.success);
+  assert.strictEqual(auction.bids.length, accepted.length);
+  assert.ok(auction.bids.every((bid) => bid.timestamp <= auction.closedAt));
+  assert.strictEqual(auction.winningBid ? auction.winningBid.amount : null, auction.bids.length ? auction.bids[auction.bids.length - 1].amount : null);
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { dutchPriceAt, floorReachedAt, parseDutchTerms } = require('../lib/price-schedule');
+
+// startPrice is in minor units: 10.00 USD
+const termsOf = (req) => parseDutchTerms(req, 1000, 'USD');
+
+test('floors a schedule never reaches are refused', () => {
+  assert.throws(() => termsOf({ priceSchedule: { type: 'exponential', percent: 10, every: 1 } }), /minimum price above 0/);
+  assert.throws(() => termsOf({ priceSchedule: { type: 'exponential', percent: 10, every: 1 }, minimumPrice: '0' }), /minimum price above 0/);
+  assert.throws(() => termsOf({ priceSchedule: { type: 'points', points: '1:8,2:5' }, minimumPrice: '2' }), /last price point/);
+});
+
+test('every accepted schedule reaches its floor, and is at the floor then', () => {
+  const requests = [
+    { priceSchedule: { type: 'linear', rate: 1 } },
+    { priceSchedule: { type: 'step', drop: 3, every: 2 }, minimumPrice: '2' },
+    { priceSchedule: { type: 'exponential', percent: 10, every: 1 }, minimumPrice: '1' },
+    { priceSchedule: { type: 'points', points: '1:8,2:5' } },
+    { priceSchedule: { type: 'points', points: '1:8,2:5' }, minimumPrice: '6' }
+  ];
+  for (const req of requests) {
+    const auction = { ...termsOf(req), startPrice: 1000, startTime: 0 };
+    const reachedAt = floorReachedAt(auction);
+    assert.ok(Number.isFinite(reachedAt), JSON.stringify(req));
+    assert.strictEqual(dutchPriceAt(auction, reachedAt), auction.minimumPrice, JSON.stringify(req));
+  }
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { startServer } = require('./helpers');
+
+// What the first client sent, before protocol versions existed: plain text
+// for serverReady, and JSON with fields the schema no longer has for
+// registerClient. It read the reply as JSON.
+const BASELINE_SERVER_READY = Buffer.from('Check if server is ready', 'utf-8');
+const baselineRegisterClient = () => Buffer.from(JSON.stringify({
+  serverPublicKey: 'ab'.repeat(32),
+  timestamp: Date.now()
+}), 'utf-8');
+
+test('clients from before versioning are told to upgrade', async (t) => {
+  const { send, close } = await startServer();
+  t.after(close);
+
+  for (const [method, reqRaw] of [['serverReady', BASELINE_SERVER_READY], ['registerClient', baselineRegisterClient()]]) {
+    const resp = JSON.parse((await send(method, reqRaw)).toString('utf-8'));
+    assert.strictEqual(resp.code, 'UNSUPPORTED_PROTOCOL_VERSION', `${method}: ${JSON.stringify(resp)}`);
+    assert.match(resp.error, /predates versioning/);
+  }
+});
+
+test('a versioned handshake with a version out of range is refused the same way', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const resp = await request('registerClient', { serverPublicKey: 'ab'.repeat(32), protocolVersion: 99, extra: true });
+  assert.strictEqual(resp.code, 'UNSUPPORTED_PROTOCOL_VERSION');
+});
+
+test('other methods still reject undecodable requests as malformed', async (t) => {
+  const { send, close } = await startServer();
+  t.after(close);
+
+  const resp = JSON.parse((await send('getAuctionDetails', Buffer.from('not json', 'utf-8'))).toString('utf-8'));
+  assert.strictEqual(resp.code, 'MALFORMED_REQUEST');
+});